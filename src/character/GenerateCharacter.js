@@ -2,16 +2,15 @@ import fs from "fs/promises";
 import path from "path";
 import readline from "readline";
 import { createReadStream } from "fs";
+import DataOrganizer from "../twitter/DataOrganizer.js";
+import TweetStore from "../twitter/TweetStore.js";
 
 class TweetProcessor {
   constructor(username, date) {
     this.username = username.toLowerCase();
     this.date = date;
-    this.baseDir = path.join(
-      "pipeline",
-      username,
-      date
-    );
+    // Without a date, tweets come from the account's tweet store
+    this.baseDir = date ? path.join("pipeline", username, date) : null;
     this.characterFile = path.join("characters", `${username}.json`);
   }
 
@@ -115,6 +114,60 @@ class TweetProcessor {
     }
   }
 
+  async loadGraph() {
+    // Without a date, use the newest snapshot that collected a graph
+    const snapshotDirs = this.baseDir
+      ? [this.baseDir]
+      : await fs
+          .readdir(path.join("pipeline", this.username))
+          .then((folders) =>
+            folders.sort().reverse().map((folder) => path.join("pipeline", this.username, folder))
+          )
+          .catch(() => []);
+
+    for (const snapshotDir of snapshotDirs) {
+      try {
+        const data = await fs.readFile(
+          path.join(snapshotDir, "raw", "graph.json"),
+          "utf-8"
+        );
+        return JSON.parse(data);
+      } catch (error) {
+        // No graph in this snapshot
+      }
+    }
+    return null;
+  }
+
+  describeRelationship(interaction) {
+    const parts = [
+      ["replies", "replies to them"],
+      ["mentions", "mentions them"],
+      ["quotes", "quote-tweets them"],
+      ["retweets", "retweets them"],
+      ["mentionedBy", "gets mentioned by them"],
+    ]
+      .filter(([key]) => interaction[key] > 0)
+      .map(([key, label]) => `${label} (${interaction[key]}x)`);
+
+    const follows = interaction.followed ? "follows" : "doesn't follow";
+    return `${follows} @${interaction.username} and ${parts.join(", ")}`;
+  }
+
+  addRelationships(characterData, graph, limit = 10) {
+    const closest = graph.interactions
+      .filter((interaction) => interaction.total > 1)
+      .slice(0, limit);
+
+    characterData.people = closest.map((interaction) => `@${interaction.username}`);
+    characterData.lore = [
+      ...characterData.lore.filter((line) => !line.startsWith("relationship: ")),
+      ...closest.map(
+        (interaction) => `relationship: ${this.describeRelationship(interaction)}`
+      ),
+    ];
+  }
+
   async readJsonlFile(filePath) {
     const tweets = [];
     const fileStream = createReadStream(filePath);
@@ -147,25 +200,44 @@ class TweetProcessor {
     return tweets;
   }
 
+  async readStoredTweets() {
+    const store = new TweetStore("pipeline", this.username);
+    const tweets = (await store.query({ excludeRetweets: true }))
+      .map((tweet) => DataOrganizer.toFinetuningEntry(tweet))
+      .filter(Boolean);
+
+    if (tweets.length === 0) {
+      throw new Error(`No stored tweets found for ${this.username}`);
+    }
+    console.log(`Read ${tweets.length} tweets from the tweet store`);
+    return tweets;
+  }
+
   async processTweets() {
     try {
-      console.log(`Processing tweets for ${this.username} from date ${this.date}`);
+      let tweets;
+      if (this.date) {
+        console.log(`Processing tweets for ${this.username} from date ${this.date}`);
 
-      const tweetsPath = path.join(
-        this.baseDir,
-        "processed",
-        "finetuning.jsonl"
-      );
-      console.log(`Tweets file path: ${tweetsPath}`);
+        const tweetsPath = path.join(
+          this.baseDir,
+          "processed",
+          "finetuning.jsonl"
+        );
+        console.log(`Tweets file path: ${tweetsPath}`);
 
-      try {
-        await fs.access(tweetsPath);
-      } catch (error) {
-        throw new Error(`No processed tweets found for ${this.username} on ${this.date}`);
-      }
+        try {
+          await fs.access(tweetsPath);
+        } catch (error) {
+          throw new Error(`No processed tweets found for ${this.username} on ${this.date}`);
+        }
 
-      const tweets = await this.readJsonlFile(tweetsPath);
-      console.log(`Read ${tweets.length} tweets from JSONL file`);
+        tweets = await this.readJsonlFile(tweetsPath);
+        console.log(`Read ${tweets.length} tweets from JSONL file`);
+      } else {
+        console.log(`Processing all stored tweets for ${this.username}`);
+        tweets = await this.readStoredTweets();
+      }
 
       let characterData = await this.loadCharacterData();
 
@@ -233,6 +305,11 @@ class TweetProcessor {
 
       characterData.topics = Array.from(topics);
 
+      const graph = await this.loadGraph();
+      if (graph) {
+        this.addRelationships(characterData, graph);
+      }
+
       // Save updated character file
       await fs.writeFile(
         this.characterFile,
@@ -243,6 +320,9 @@ class TweetProcessor {
       console.log(`✅ Successfully processed tweets for ${this.username}`);
       console.log(`📝 Added ${characterData.postExamples.length} post examples`);
       console.log(`📝 Extracted ${characterData.topics.length} topics`);
+      if (graph) {
+        console.log(`📝 Added ${characterData.people.length} people`);
+      }
     } catch (error) {
       console.error(`Failed to process tweets: ${error.message}`);
       throw error;
@@ -261,12 +341,11 @@ const run = async () => {
     process.exit(1);
   }
 
-  if (!date) {
+  if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
     console.error("Please provide a date in format YYYY-MM-DD");
     process.exit(1);
   }
 
-  console.log(`Processing tweets for ${username} from ${date}`);
   const processor = new TweetProcessor(username, date);
   await processor.processTweets();
 };
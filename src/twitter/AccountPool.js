@@ -0,0 +1,329 @@
+// AccountPool.js
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import Logger from './Logger.js';
+
+/**
+ * Cookies are saved as Set-Cookie strings, which setCookies() takes back.
+ * Files written before that hold tough-cookie's JSON form, which it rejects,
+ * so those entries are turned into strings first.
+ */
+function toCookieString(cookie) {
+  if (typeof cookie === 'string') return cookie;
+  return [
+    `${cookie.key}=${cookie.value}`,
+    cookie.domain && !cookie.hostOnly && `Domain=${cookie.domain}`,
+    cookie.path && `Path=${cookie.path}`,
+    cookie.expires && cookie.expires !== 'Infinity' && `Expires=${new Date(cookie.expires).toUTCString()}`,
+    cookie.secure && 'Secure',
+    cookie.httpOnly && 'HttpOnly',
+  ]
+    .filter(Boolean)
+    .join('; ');
+}
+
+class AccountPool {
+  constructor(options = {}) {
+    this.cookiesDir = options.cookiesDir || path.join(process.cwd(), 'cookies');
+    this.poolFile =
+      options.poolFile ||
+      process.env.TWITTER_ACCOUNTS_FILE ||
+      path.join(this.cookiesDir, 'accounts.json');
+    this.statePath = path.join(this.cookiesDir, 'pool_state.json');
+    this.cooldown = parseInt(process.env.ACCOUNT_COOLDOWN) || 15 * 60 * 1000;
+
+    this.accounts = [];
+    this.state = {};
+    this.current = null;
+    this.loaded = null;
+    this.fromPoolFile = false;
+  }
+
+  async hasPoolFile() {
+    try {
+      await fs.access(this.poolFile);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Loads accounts from the pool file, a JSON array of
+   * `{ username, authToken, ct0 }`. Without a pool file the account from
+   * TWITTER_USERNAME/TWITTER_AUTH_TOKEN/TWITTER_CT0 is a pool of one.
+   * Safe to call more than once; the pool is loaded a single time.
+   */
+  load() {
+    if (!this.loaded) {
+      this.loaded = this.loadAccounts();
+    }
+    return this.loaded;
+  }
+
+  async loadAccounts() {
+    if (await this.hasPoolFile()) {
+      const data = JSON.parse(await fs.readFile(this.poolFile, 'utf-8'));
+      this.accounts = data.filter((account) => account.username);
+      this.fromPoolFile = true;
+    } else if (process.env.TWITTER_AUTH_TOKEN && process.env.TWITTER_CT0) {
+      this.accounts = [
+        {
+          username: process.env.TWITTER_USERNAME || 'default',
+          authToken: process.env.TWITTER_AUTH_TOKEN,
+          ct0: process.env.TWITTER_CT0,
+        },
+      ];
+    }
+
+    try {
+      this.state = JSON.parse(await fs.readFile(this.statePath, 'utf-8'));
+    } catch {
+      // No saved pool state yet
+    }
+
+    Logger.debug(`Loaded ${this.accounts.length} account(s) into the pool`);
+  }
+
+  getState(account) {
+    if (!this.state[account.username]) {
+      this.state[account.username] = {
+        lastUsed: null,
+        cooldownUntil: null,
+        loggedOut: null,
+        rateLimitHits: 0,
+      };
+    }
+    return this.state[account.username];
+  }
+
+  // Short fingerprint of the configured token, so an account marked as
+  // logged out becomes usable again once its token is replaced.
+  fingerprint(account) {
+    return crypto
+      .createHash('sha256')
+      .update(account.authToken || '')
+      .digest('hex')
+      .slice(0, 12);
+  }
+
+  isHealthy(account) {
+    const state = this.getState(account);
+    if (state.loggedOut && state.loggedOut === this.fingerprint(account)) {
+      return false;
+    }
+    return !state.cooldownUntil || state.cooldownUntil <= Date.now();
+  }
+
+  /**
+   * When the next account comes off its rate-limit cooldown.
+   * @returns {number|null} Epoch ms, or null if an account is usable now
+   *   (or none is cooling down).
+   */
+  async nextAvailableAt() {
+    await this.load();
+    if (this.accounts.some((account) => this.isHealthy(account))) return null;
+
+    const cooldowns = this.accounts
+      .map((account) => this.getState(account).cooldownUntil)
+      .filter((until) => until && until > Date.now());
+    return cooldowns.length > 0 ? Math.min(...cooldowns) : null;
+  }
+
+  getCookiesPath(account) {
+    return path.join(this.cookiesDir, `${account.username}_cookies.json`);
+  }
+
+  async loadCookies(scraper, account) {
+    let cookiesData;
+    try {
+      cookiesData = await fs.readFile(this.getCookiesPath(account), 'utf-8');
+    } catch (error) {
+      Logger.debug(`No saved cookies for @${account.username}: ${error.message}`);
+      return false;
+    }
+
+    try {
+      await scraper.setCookies(JSON.parse(cookiesData).map(toCookieString));
+      return true;
+    } catch (error) {
+      Logger.warn(`Could not load saved cookies for @${account.username}: ${error.message}`);
+      return false;
+    }
+  }
+
+  async saveCookies(scraper, account = this.current) {
+    if (!account) return;
+    try {
+      const cookies = await scraper.getCookies();
+      await fs.mkdir(this.cookiesDir, { recursive: true });
+      await fs.writeFile(
+        this.getCookiesPath(account),
+        JSON.stringify(
+          cookies.map((cookie) => cookie.toString()),
+          null,
+          2
+        )
+      );
+    } catch (error) {
+      Logger.warn(`Failed to save cookies for @${account.username}: ${error.message}`);
+    }
+  }
+
+  async saveState() {
+    try {
+      await fs.mkdir(this.cookiesDir, { recursive: true });
+      await fs.writeFile(this.statePath, JSON.stringify(this.state, null, 2));
+    } catch (error) {
+      Logger.warn(`Failed to save account pool state: ${error.message}`);
+    }
+  }
+
+  /**
+   * Logs the scraper in with the least recently used healthy account.
+   * Saved cookies are tried first, then the configured tokens.
+   * @param {Scraper} scraper - Scraper to authenticate.
+   * @param {object[]} exclude - Accounts not to pick.
+   * @returns {object|null} The active account, or null if none could log in.
+   */
+  async activate(scraper, exclude = []) {
+    await this.load();
+
+    let candidates = this.accounts
+      .filter((account) => !exclude.includes(account) && this.isHealthy(account))
+      .sort(
+        (a, b) => (this.getState(a).lastUsed || 0) - (this.getState(b).lastUsed || 0)
+      );
+
+    // A new session with every account cooling down still starts, on the one
+    // that comes off cooldown first, and waits out the limit as it retries
+    if (candidates.length === 0 && exclude.length === 0) {
+      candidates = this.accounts
+        .filter((account) => {
+          const { loggedOut } = this.getState(account);
+          return !loggedOut || loggedOut !== this.fingerprint(account);
+        })
+        .sort((a, b) => this.getState(a).cooldownUntil - this.getState(b).cooldownUntil)
+        .slice(0, 1);
+      candidates.forEach((account) =>
+        Logger.warn(`@${account.username} is still rate limited; requests may be delayed.`)
+      );
+    }
+
+    for (const account of candidates) {
+      const state = this.getState(account);
+      try {
+        if (await this.logIn(scraper, account)) {
+          this.current = account;
+          state.lastUsed = Date.now();
+          state.loggedOut = null;
+          await this.saveState();
+          await this.saveCookies(scraper, account);
+          return account;
+        }
+
+        Logger.warn(`Cookies for @${account.username} are invalid. Please update them.`);
+        state.loggedOut = this.fingerprint(account);
+      } catch (error) {
+        Logger.warn(`Cookie authentication failed for @${account.username}: ${error.message}.`);
+      }
+    }
+
+    await this.saveState();
+    return null;
+  }
+
+  /**
+   * Puts an account's session on the scraper: its saved cookies first,
+   * then its configured tokens.
+   * @returns {boolean} loggedIn
+   */
+  async logIn(scraper, account) {
+    await scraper.clearCookies();
+    if ((await this.loadCookies(scraper, account)) && (await scraper.isLoggedIn())) {
+      return true;
+    }
+
+    if (!account.authToken || !account.ct0) return false;
+    await scraper.clearCookies();
+    await scraper.setCookies([`auth_token=${account.authToken}`, `ct0=${account.ct0}`]);
+    return scraper.isLoggedIn();
+  }
+
+  startCooldown(account, resetAt) {
+    const state = this.getState(account);
+    state.rateLimitHits++;
+    state.cooldownUntil = resetAt || Date.now() + this.cooldown;
+  }
+
+  /**
+   * Puts the active account on its rate-limit cooldown without switching
+   * away from it, for a limit that was given up on rather than rotated
+   * around. nextAvailableAt() then reports it, whatever the pool size.
+   * @param {number|null} resetAt - Epoch ms when the rate limit lifts, if known.
+   */
+  async markRateLimited(resetAt = null) {
+    if (!this.current) return;
+    this.startCooldown(this.current, resetAt);
+    await this.saveState();
+  }
+
+  /**
+   * Retires the active account and switches the scraper to another one.
+   * @param {Scraper} scraper - Scraper to re-authenticate.
+   * @param {string} reason - "rateLimit" puts the account on cooldown,
+   *   anything else marks it as logged out.
+   * @param {number|null} resetAt - Epoch ms when the rate limit lifts, if known.
+   * @returns {object|null} The new active account, or null if none is healthy.
+   */
+  async rotate(scraper, reason, resetAt = null) {
+    const previous = this.current;
+    if (previous) {
+      if (reason === 'rateLimit') {
+        this.startCooldown(previous, resetAt);
+      } else {
+        this.getState(previous).loggedOut = this.fingerprint(previous);
+      }
+      await this.saveCookies(scraper, previous);
+    }
+
+    const next = await this.activate(scraper, previous ? [previous] : []);
+    if (next) {
+      Logger.info(
+        `🔄 Rotated account @${previous?.username} → @${next.username} (${reason})`
+      );
+    } else if (previous && reason === 'rateLimit') {
+      // Nobody to rotate to: trying the others cleared the scraper's
+      // cookies, so log the rate-limited account back in and wait it out
+      const restored = await this.logIn(scraper, previous).catch((error) => {
+        Logger.debug(`Restoring @${previous.username} failed: ${error.message}`);
+        return false;
+      });
+      if (!restored) {
+        Logger.warn(`Could not restore the session of @${previous.username}; no account is logged in.`);
+        this.current = null;
+      }
+    } else {
+      this.current = null;
+    }
+    return next;
+  }
+
+  /**
+   * Ends the session. Pooled accounts stay logged in on the server so their
+   * saved cookies remain valid next run; the single .env account is logged out.
+   * @param {Scraper} scraper - Scraper holding the session.
+   */
+  async release(scraper) {
+    await this.saveCookies(scraper);
+    if (this.fromPoolFile) {
+      await scraper.clearCookies();
+    } else {
+      await scraper.logout();
+    }
+    this.current = null;
+  }
+}
+
+export default AccountPool;
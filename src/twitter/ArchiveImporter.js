@@ -0,0 +1,268 @@
+// ArchiveImporter.js
+import fs from 'fs/promises';
+import path from 'path';
+import yauzl from 'yauzl';
+import DataOrganizer from './DataOrganizer.js';
+import Logger from './Logger.js';
+
+// Archive files we read, e.g. data/tweets.js, data/tweets-part1.js, data/like.js
+const ARCHIVE_FILE =
+  /^data\/(tweets?|like|account|profile|follower|following)(?:-part\d+)?\.js$/;
+const DAY = 24 * 60 * 60 * 1000;
+const STATUS_URL = /^https?:\/\/(?:mobile\.)?(?:twitter|x)\.com\/(\w+)\/status(?:es)?\/(\d+)/;
+
+const decodeEntities = (text) =>
+  (text || '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+
+/**
+ * Archive `.js` files assign a JSON array to a global, as in
+ * `window.YTD.tweets.part0 = [ ... ]`.
+ */
+function parseArchiveFile(content) {
+  return JSON.parse(content.slice(content.indexOf('=') + 1));
+}
+
+function readZipEntries(zipPath, wanted) {
+  return new Promise((resolve, reject) => {
+    const files = {};
+    yauzl.open(zipPath, { lazyEntries: true }, (error, zip) => {
+      if (error) return reject(error);
+
+      zip.on('error', reject);
+      zip.on('end', () => resolve(files));
+      zip.on('entry', (entry) => {
+        if (!wanted.test(entry.fileName)) return zip.readEntry();
+
+        zip.openReadStream(entry, (streamError, stream) => {
+          if (streamError) return reject(streamError);
+          const chunks = [];
+          stream.on('data', (chunk) => chunks.push(chunk));
+          stream.on('error', reject);
+          stream.on('end', () => {
+            files[entry.fileName] = Buffer.concat(chunks).toString('utf-8');
+            zip.readEntry();
+          });
+        });
+      });
+      zip.readEntry();
+    });
+  });
+}
+
+async function readDirectoryEntries(dir, wanted) {
+  const files = {};
+  for (const name of await fs.readdir(path.join(dir, 'data'))) {
+    const fileName = `data/${name}`;
+    if (wanted.test(fileName)) {
+      files[fileName] = await fs.readFile(path.join(dir, fileName), 'utf-8');
+    }
+  }
+  return files;
+}
+
+class ArchiveImporter {
+  /**
+   * @param {string} archivePath - The archive zip, or the folder it was extracted to.
+   * @param {object} options - `username` overrides the archive's account;
+   *   `startDate`/`endDate` limit the imported tweets.
+   */
+  constructor(archivePath, options = {}) {
+    this.archivePath = archivePath;
+    this.username = options.username?.replace(/^@/, '') || null;
+    this.startDate = options.startDate ? new Date(options.startDate) : null;
+    this.endDate = options.endDate ? new Date(options.endDate) : null;
+  }
+
+  async readArchive() {
+    const stat = await fs.stat(this.archivePath);
+    const files = stat.isDirectory()
+      ? await readDirectoryEntries(this.archivePath, ARCHIVE_FILE)
+      : await readZipEntries(this.archivePath, ARCHIVE_FILE);
+
+    const sections = { tweets: [], like: [], account: [], profile: [], follower: null, following: null };
+    for (const [fileName, content] of Object.entries(files).sort()) {
+      const [, section] = fileName.match(ARCHIVE_FILE);
+      const key = section === 'tweet' ? 'tweets' : section;
+      // Follower lists stay null when the archive has none, so counts aren't faked as 0
+      sections[key] = [...(sections[key] || []), ...parseArchiveFile(content)];
+    }
+
+    if (sections.tweets.length === 0) {
+      throw new Error(`No data/tweets.js found in ${this.archivePath}`);
+    }
+    return sections;
+  }
+
+  /**
+   * Maps an archive tweet to the record shape of processTweetData.
+   * Archives carry no reply counts or quoted tweet content.
+   */
+  mapTweet(tweet, username) {
+    const timestamp = new Date(tweet.created_at).getTime();
+    const entities = tweet.entities || {};
+    const media = tweet.extended_entities?.media || entities.media || [];
+    const urls = (entities.urls || []).map((url) => url.expanded_url).filter(Boolean);
+    const quoted = urls.map((url) => url.match(STATUS_URL)).find(Boolean);
+    const text = decodeEntities(tweet.full_text || tweet.text);
+
+    return {
+      id: tweet.id_str,
+      text,
+      username,
+      timestamp,
+      createdAt: new Date(timestamp).toISOString(),
+      isReply: Boolean(tweet.in_reply_to_status_id_str),
+      isRetweet: text.startsWith('RT @'),
+      likes: parseInt(tweet.favorite_count) || 0,
+      retweetCount: parseInt(tweet.retweet_count) || 0,
+      replies: 0,
+      photos: media
+        .filter((item) => item.type === 'photo')
+        .map((item) => ({ id: item.id_str, url: item.media_url_https, alt_text: item.ext_alt_text })),
+      videos: media
+        .filter((item) => item.type === 'video' || item.type === 'animated_gif')
+        .map((item) => {
+          const best = (item.video_info?.variants || [])
+            .filter((variant) => variant.content_type === 'video/mp4')
+            .sort((a, b) => (parseInt(b.bitrate) || 0) - (parseInt(a.bitrate) || 0))[0];
+          return { id: item.id_str, preview: item.media_url_https, url: best?.url };
+        }),
+      urls,
+      permanentUrl: `https://x.com/${username}/status/${tweet.id_str}`,
+      quotedStatusId: quoted?.[2],
+      quotedTweet: null,
+      inReplyToStatusId: tweet.in_reply_to_status_id_str,
+      conversationId: undefined,
+      hashtags: (entities.hashtags || []).map((hashtag) => hashtag.text),
+    };
+  }
+
+  /**
+   * @param {object} counts - `tweets`, `likes`, `followers` and
+   *   `following`; the last two are null when the archive has no list.
+   */
+  mapProfile(account, profile, counts) {
+    const description = profile?.description || {};
+    return {
+      fetchedAt: new Date().toISOString(),
+      source: 'archive',
+      userId: account?.accountId,
+      username: this.username,
+      name: account?.accountDisplayName,
+      biography: description.bio || '',
+      location: description.location || '',
+      website: description.website || '',
+      joined: account?.createdAt ? new Date(account.createdAt).toISOString() : null,
+      avatar: profile?.avatarMediaUrl || null,
+      banner: profile?.headerMediaUrl || null,
+      followersCount: counts.followers,
+      followingCount: counts.following,
+      tweetsCount: counts.tweets,
+      likesCount: counts.likes,
+    };
+  }
+
+  isInRange(tweet) {
+    if (this.startDate && tweet.timestamp < this.startDate.getTime()) return false;
+    // The end date is inclusive: anything before the next day counts
+    if (this.endDate && tweet.timestamp >= this.endDate.getTime() + DAY) return false;
+    return true;
+  }
+
+  /**
+   * Saves the tweets into today's snapshot. Tweets already collected there
+   * today are kept, with their fresher engagement counts, and the archive
+   * adds the ones they lack.
+   * @returns {object} analytics
+   */
+  async saveTweets(dataOrganizer, tweets) {
+    const existingIds = await dataOrganizer.loadTweetIds();
+    if (existingIds.size === 0) {
+      return dataOrganizer.saveTweets(tweets);
+    }
+
+    const added = tweets.filter((tweet) => !existingIds.has(tweet.id));
+    Logger.info(
+      `🔀 Merging ${added.length.toLocaleString()} archive tweets into the ${existingIds.size.toLocaleString()} collected today`
+    );
+    await dataOrganizer.startTweetLog({ append: true });
+    await dataOrganizer.appendTweets(added);
+    return dataOrganizer.finalizeTweets();
+  }
+
+  /**
+   * Imports the archive into today's pipeline snapshot for the account.
+   * @returns {object} result - `{ username, tweets, likes, snapshot }`.
+   */
+  async import() {
+    Logger.startSpinner(`Reading archive ${this.archivePath}`);
+    const sections = await this.readArchive();
+    Logger.stopSpinner();
+
+    const account = sections.account[0]?.account;
+    this.username ||= account?.username;
+    if (!this.username) {
+      throw new Error('The archive has no data/account.js; pass the username explicitly.');
+    }
+
+    const dataOrganizer = new DataOrganizer('pipeline', this.username);
+    const tweets = dataOrganizer.mergeTweets(
+      sections.tweets
+        .map((entry) => this.mapTweet(entry.tweet || entry, this.username))
+        .filter((tweet) => !isNaN(tweet.timestamp) && this.isInRange(tweet))
+    );
+    const likes = sections.like.map(({ like }) => ({
+      id: like.tweetId,
+      text: decodeEntities(like.fullText),
+      permanentUrl: like.expandedUrl,
+    }));
+
+    Logger.info(
+      `📦 Found ${tweets.length.toLocaleString()} tweets and ${likes.length.toLocaleString()} likes for @${this.username}`
+    );
+
+    // Quoted tweets the account also wrote can be filled in from the archive
+    const byId = new Map(tweets.map((tweet) => [tweet.id, tweet]));
+    tweets
+      .filter((tweet) => tweet.quotedStatusId && byId.has(tweet.quotedStatusId))
+      .forEach((tweet) => {
+        const { id, text, username, timestamp, createdAt, photos, videos, urls, permanentUrl } =
+          byId.get(tweet.quotedStatusId);
+        tweet.quotedTweet = { id, text, username, timestamp, createdAt, photos, videos, urls, permanentUrl };
+      });
+
+    const analytics = await this.saveTweets(dataOrganizer, tweets);
+    await dataOrganizer.saveLikes(likes);
+
+    // A profile scraped today has live counts; keep it over the archive's
+    const scraped = await fs
+      .readFile(dataOrganizer.getPaths().raw.profile, 'utf-8')
+      .then((content) => JSON.parse(content).source !== 'archive')
+      .catch(() => false);
+    if (scraped) {
+      Logger.info('👤 Keeping the profile scraped today over the archive\'s');
+    } else {
+      await dataOrganizer.saveProfile(
+        this.mapProfile(account, sections.profile[0]?.profile, {
+          tweets: tweets.length,
+          likes: likes.length,
+          followers: sections.follower?.length ?? null,
+          following: sections.following?.length ?? null,
+        })
+      );
+    }
+
+    return {
+      username: this.username,
+      tweets: tweets.length,
+      likes: likes.length,
+      analytics,
+      snapshot: dataOrganizer.baseDir,
+    };
+  }
+}
+
+export default ArchiveImporter;
@@ -0,0 +1,303 @@
+// BatchRunner.js
+import fs from 'fs/promises';
+import path from 'path';
+import chalk from 'chalk';
+import Table from 'cli-table3';
+import { format } from 'date-fns';
+import TwitterPipeline from './TwitterPipeline.js';
+import TweetFilter from './TweetFilter.js';
+import AccountPool from './AccountPool.js';
+import CollectionConfig from './CollectionConfig.js';
+import ErrorJournal from './ErrorJournal.js';
+import Logger from './Logger.js';
+
+class BatchRunner {
+  /**
+   * @param {string} targetsFile - Path to the targets file.
+   * @param {object} options - `concurrency`, and `defaults`: settings from
+   *   `--config` and CLI flags, applied beneath the targets file's own.
+   */
+  constructor(targetsFile, options = {}) {
+    this.targetsFile = targetsFile;
+    this.concurrency = Math.max(1, parseInt(options.concurrency) || 1);
+    this.defaults = options.defaults || {};
+    this.backendOptions = {
+      backend: this.defaults.backend,
+      fixturesPath: this.defaults.fixturesPath,
+    };
+    this.scraper = null;
+    this.accountPool = new AccountPool();
+    this.results = [];
+
+    // Pipelines in progress, so an interrupt can stop them
+    this.running = new Set();
+    this.interrupted = false;
+  }
+
+  /**
+   * Reads the targets file. A `.json` file holds `{ defaults, accounts }`
+   * where each account is a username or an object overriding the defaults
+   * (startDate, endDate, incremental, conversationDepth, media, mentions,
+   * graph, quiet, skip, tweetTypes, contentTypes, minLikes, minRetweets,
+   * excludeKeywords; for watch mode also interval, minNewTweets and
+   * regenerate).
+   * An object with a `query` instead of a username collects that search
+   * into its query folder. Any other file lists one
+   * `username [startDate] [endDate]` per line; `#` starts a comment.
+   * Every target is validated before anything runs.
+   * @returns {object[]} targets - Normalized account targets.
+   */
+  async loadTargets() {
+    const data = await fs.readFile(this.targetsFile, 'utf-8');
+    let entries;
+    let defaults = {};
+
+    if (path.extname(this.targetsFile).toLowerCase() === '.json') {
+      const parsed = JSON.parse(data);
+      defaults = parsed.defaults || {};
+      entries = Array.isArray(parsed) ? parsed : parsed.accounts || [];
+    } else {
+      entries = data
+        .split('\n')
+        .map((line) => line.replace(/#.*/, '').trim())
+        .filter(Boolean)
+        .map((line) => {
+          const [username, startDate, endDate] = line.split(/\s+/);
+          return { username, startDate, endDate };
+        });
+    }
+
+    const seen = new Set();
+    const errors = [];
+    const targets = entries.map((entry, index) => {
+      const { skip, ...settings } = {
+        ...this.defaults,
+        ...defaults,
+        ...(typeof entry === 'string' ? { username: entry } : entry),
+      };
+      // Text targets files leave unset dates undefined
+      Object.keys(settings).forEach(
+        (key) => settings[key] === undefined && delete settings[key]
+      );
+
+      const validation = CollectionConfig.validate(settings);
+      validation.errors.forEach((error) =>
+        errors.push(`${settings.username || settings.query || `entry ${index + 1}`}: ${error}`)
+      );
+
+      const target = { ...validation.settings, skip };
+      target.username = target.query
+        ? TwitterPipeline.querySlug(target.query)
+        : String(target.username || '').replace(/^@/, '');
+
+      if (!target.username) {
+        target.skip = 'Missing username';
+      } else if (seen.has(target.username.toLowerCase())) {
+        target.skip = 'Duplicate target';
+      }
+      seen.add(target.username.toLowerCase());
+      return target;
+    });
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid targets in ${this.targetsFile}:\n- ${errors.join('\n- ')}`);
+    }
+    return targets;
+  }
+
+  /**
+   * Creates the scraper and authenticates one session shared by every
+   * target.
+   * @param {string} label - Account name to log the session under.
+   * @returns {boolean} authenticated
+   */
+  async openSession(label) {
+    this.scraper = TwitterPipeline.createScraper(this.backendOptions);
+    if (!this.scraper.requiresAuth) return true;
+
+    const session = new TwitterPipeline(label, null, null, {
+      scraper: this.scraper,
+      accountPool: this.accountPool,
+    });
+    await session.validateEnvironment();
+    return session.initializeScraper();
+  }
+
+  /**
+   * Stops the accounts in progress after their current page, saving what
+   * they collected, and starts no more. Accounts not yet started are
+   * reported as skipped.
+   */
+  interrupt() {
+    this.interrupted = true;
+    this.running.forEach((pipeline) => pipeline.interrupt());
+  }
+
+  async closeSession() {
+    if (!this.scraper?.requiresAuth) return;
+    try {
+      await this.accountPool.release(this.scraper);
+      Logger.success('🔒 Logged out of shared session');
+    } catch (error) {
+      Logger.warn(`⚠️  Logout failed: ${error.message}`);
+    }
+  }
+
+  async run() {
+    const startTime = Date.now();
+    const targets = await this.loadTargets();
+
+    if (targets.length === 0) {
+      Logger.warn(`No accounts found in ${this.targetsFile}`);
+      return this.results;
+    }
+
+    Logger.info(
+      `📋 Loaded ${targets.length} accounts from ${this.targetsFile} (concurrency: ${this.concurrency})`
+    );
+
+    // One authenticated session shared by every account
+    const authenticated = await this.openSession(targets[0].username || 'batch');
+
+    if (authenticated) {
+      const queue = targets.map((target, index) => ({ target, index }));
+      const worker = async () => {
+        while (queue.length > 0 && !this.interrupted) {
+          const { target, index } = queue.shift();
+          this.results[index] = await this.runTarget(target);
+        }
+      };
+      await Promise.all(Array.from({ length: this.concurrency }, worker));
+      queue.forEach(({ target, index }) => {
+        this.results[index] = {
+          username: target.username,
+          status: 'skipped',
+          reason: 'Batch interrupted',
+        };
+      });
+      await this.closeSession();
+    } else {
+      this.results = targets.map((target) => ({
+        username: target.username,
+        status: 'failed',
+        error: 'Authentication failed',
+        errorKind: 'auth',
+      }));
+    }
+
+    await this.saveReport(startTime);
+    this.displayReport();
+    return this.results;
+  }
+
+  async runTarget(target) {
+    if (target.skip) {
+      return {
+        username: target.username,
+        status: 'skipped',
+        reason: typeof target.skip === 'string' ? target.skip : 'Disabled in targets file',
+      };
+    }
+
+    const startTime = Date.now();
+    try {
+      const pipeline = new TwitterPipeline(
+        target.username,
+        target.startDate,
+        target.endDate,
+        {
+          scraper: this.scraper,
+          accountPool: this.accountPool,
+          query: target.query,
+          resume: target.resume,
+          incremental: target.incremental,
+          conversationDepth: target.conversationDepth,
+          media: target.media,
+          mentions: target.mentions,
+          graph: target.graph,
+          // Side-by-side accounts would redraw over each other's progress
+          quiet: target.quiet || this.concurrency > 1,
+          filterOptions: TweetFilter.buildOptions(target),
+        }
+      );
+      this.running.add(pipeline);
+      const result = await pipeline.run().finally(() => this.running.delete(pipeline));
+      return {
+        username: target.username,
+        ...result,
+        durationSeconds: Number(((Date.now() - startTime) / 1000).toFixed(1)),
+      };
+    } catch (error) {
+      Logger.error(`@${target.username} failed: ${error.message}`);
+      return {
+        username: target.username,
+        status: 'failed',
+        error: error.message,
+        errorKind: ErrorJournal.classify(error),
+      };
+    }
+  }
+
+  async saveReport(startTime) {
+    const reportDir = path.join('pipeline', 'batch-runs');
+    const reportPath = path.join(
+      reportDir,
+      `${format(startTime, 'yyyy-MM-dd_HH-mm-ss')}.json`
+    );
+    const countStatus = (status) =>
+      this.results.filter((result) => result.status === status).length;
+
+    const report = {
+      targetsFile: this.targetsFile,
+      startedAt: new Date(startTime).toISOString(),
+      finishedAt: new Date().toISOString(),
+      concurrency: this.concurrency,
+      totals: {
+        succeeded: countStatus('succeeded'),
+        failed: countStatus('failed'),
+        skipped: countStatus('skipped'),
+        interrupted: countStatus('interrupted'),
+      },
+      accounts: this.results,
+    };
+
+    try {
+      await fs.mkdir(reportDir, { recursive: true });
+      await fs.writeFile(reportPath, JSON.stringify(report, null, 2), 'utf-8');
+      Logger.success(`✅ Saved batch report to ${reportPath}`);
+    } catch (error) {
+      Logger.error(`Failed to save batch report: ${error.message}`);
+    }
+  }
+
+  displayReport() {
+    const statusColors = {
+      succeeded: chalk.green,
+      failed: chalk.red,
+      skipped: chalk.yellow,
+      interrupted: chalk.yellow,
+    };
+
+    Logger.print(`\n📋 ${chalk.bold('Batch Run Report')}`);
+    const table = new Table({
+      head: [chalk.white('Account'), chalk.white('Status'), chalk.white('Details')],
+      colWidths: [25, 13, 50],
+    });
+
+    this.results.forEach((result) => {
+      const details =
+        result.status === 'succeeded' || result.status === 'interrupted'
+          ? `${result.tweets.toLocaleString()} tweets`
+          : `${result.errorKind ? `[${result.errorKind}] ` : ''}${result.error || result.reason || ''}`;
+      table.push([
+        `@${result.username}`,
+        statusColors[result.status](result.status),
+        details,
+      ]);
+    });
+
+    Logger.print(table.toString());
+  }
+}
+
+export default BatchRunner;
@@ -0,0 +1,184 @@
+// CollectionConfig.js
+import fs from 'fs/promises';
+import path from 'path';
+import yaml from 'js-yaml';
+import { parseISO, isValid } from 'date-fns';
+
+const TWEET_TYPES = ['original', 'replies', 'quotes', 'retweets'];
+const CONTENT_TYPES = ['text', 'images', 'videos', 'links'];
+const REGENERATE = ['finetune', 'character'];
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// Settings a config file or the command line may set, and their checks
+const SCHEMA = {
+  username: 'string',
+  query: 'string',
+  startDate: 'date',
+  endDate: 'date',
+  tweetTypes: TWEET_TYPES,
+  contentTypes: CONTENT_TYPES,
+  minLikes: 'count',
+  minRetweets: 'count',
+  excludeKeywords: 'strings',
+  resume: 'boolean',
+  incremental: 'boolean',
+  conversationDepth: 'count',
+  mentions: 'boolean',
+  media: 'boolean',
+  graph: 'boolean',
+  quiet: 'boolean',
+  backend: 'string',
+  fixturesPath: 'string',
+  // Watch mode
+  interval: 'duration',
+  minNewTweets: 'count',
+  regenerate: REGENERATE,
+};
+
+// Comma-separated CLI values become lists
+const splitList = (value) =>
+  Array.isArray(value)
+    ? value
+    : String(value)
+        .split(',')
+        .map((item) => item.trim())
+        .filter(Boolean);
+
+class CollectionConfig {
+  /**
+   * Reads a JSON or YAML (.yml/.yaml) collection config file.
+   * @param {string} filePath - Path to the config file.
+   * @returns {object} settings - The parsed settings.
+   */
+  static async loadFile(filePath) {
+    const data = await fs.readFile(filePath, 'utf-8');
+    const ext = path.extname(filePath).toLowerCase();
+    const settings = ['.yml', '.yaml'].includes(ext) ? yaml.load(data) : JSON.parse(data);
+
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      throw new Error(`${filePath} must contain an object of settings`);
+    }
+    return settings;
+  }
+
+  /**
+   * Picks the collection settings out of parsed CLI options. Only flags
+   * that were actually passed are returned, so they can override a file.
+   * @param {object} options - Commander options.
+   * @returns {object} settings
+   */
+  static fromCli(options) {
+    const settings = {
+      query: options.query,
+      startDate: options.startDate,
+      endDate: options.endDate,
+      tweetTypes: options.tweetTypes && splitList(options.tweetTypes),
+      contentTypes: options.contentTypes && splitList(options.contentTypes),
+      minLikes: options.minLikes,
+      minRetweets: options.minRetweets,
+      excludeKeywords: options.excludeKeywords && splitList(options.excludeKeywords),
+      resume: options.resume,
+      incremental: options.incremental,
+      // `--conversations` alone means the default depth
+      conversationDepth:
+        options.conversations === true ? 3 : options.conversations,
+      mentions: options.mentions,
+      media: options.media,
+      graph: options.graph,
+      quiet: options.quiet,
+      backend: options.backend,
+      fixturesPath: options.fixtures,
+    };
+    return Object.fromEntries(
+      Object.entries(settings).filter(([, value]) => value !== undefined)
+    );
+  }
+
+  /**
+   * Parses a duration such as `90m`, `6h` or `1d`. Plain numbers are minutes.
+   * @returns {number|null} milliseconds, or null if the value isn't a duration.
+   */
+  static parseDuration(value) {
+    const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([smhd])?$/i);
+    if (!match) return null;
+    const ms = Number(match[1]) * DURATION_UNITS[(match[2] || 'm').toLowerCase()];
+    return ms > 0 ? ms : null;
+  }
+
+  /**
+   * Checks settings against the schema and normalizes numbers and lists.
+   * @param {object} settings - Settings from a file and/or the CLI.
+   * @returns {{ settings: object, errors: string[] }} Normalized settings
+   *   and every problem found, so all of them can be reported at once.
+   */
+  static validate(settings) {
+    const errors = [];
+    const normalized = {};
+
+    for (const [key, value] of Object.entries(settings)) {
+      const rule = SCHEMA[key];
+      if (!rule) {
+        errors.push(`Unknown setting "${key}"`);
+        continue;
+      }
+
+      if (Array.isArray(rule)) {
+        const list = splitList(value);
+        const invalid = list.filter((item) => !rule.includes(item));
+        if (invalid.length > 0) {
+          errors.push(`${key}: unknown value(s) ${invalid.join(', ')} (allowed: ${rule.join(', ')})`);
+        } else if (list.length === 0) {
+          errors.push(`${key}: select at least one of ${rule.join(', ')}`);
+        }
+        normalized[key] = list;
+      } else if (rule === 'date') {
+        // YAML turns unquoted dates into Date objects
+        const date = value instanceof Date ? value.toISOString().slice(0, 10) : String(value);
+        if (!isValid(parseISO(date))) {
+          errors.push(`${key}: "${value}" is not a valid date (YYYY-MM-DD)`);
+        }
+        normalized[key] = date;
+      } else if (rule === 'count') {
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < 0) {
+          errors.push(`${key}: expected a whole number of 0 or more, got "${value}"`);
+        }
+        normalized[key] = number;
+      } else if (rule === 'duration') {
+        const ms = CollectionConfig.parseDuration(value);
+        if (ms === null) {
+          errors.push(`${key}: "${value}" is not a duration (e.g. 30m, 6h, 1d)`);
+        }
+        normalized[key] = ms;
+      } else if (rule === 'strings') {
+        normalized[key] = splitList(value).map(String);
+      } else if (typeof value !== rule) {
+        errors.push(`${key}: expected a ${rule}, got ${JSON.stringify(value)}`);
+      } else {
+        normalized[key] = value;
+      }
+    }
+
+    if (
+      normalized.startDate &&
+      normalized.endDate &&
+      parseISO(normalized.startDate) > parseISO(normalized.endDate)
+    ) {
+      errors.push(`startDate ${normalized.startDate} is after endDate ${normalized.endDate}`);
+    }
+
+    return { settings: normalized, errors };
+  }
+
+  /**
+   * Whether any filter setting was given. Together with a config file this
+   * means the collection runs without prompts.
+   */
+  static hasFilters(settings) {
+    return ['tweetTypes', 'contentTypes', 'minLikes', 'minRetweets', 'excludeKeywords'].some(
+      (key) => settings[key] !== undefined
+    );
+  }
+}
+
+export default CollectionConfig;
@@ -0,0 +1,137 @@
+// ConversationBuilder.js
+import Logger from './Logger.js';
+
+class ConversationBuilder {
+  /**
+   * @param {function(string): Promise<object|null>} fetchTweet - Looks up a tweet by id.
+   * @param {object} options - `depth`: how many parent tweets to walk up per reply.
+   */
+  constructor(fetchTweet, options = {}) {
+    this.fetchTweet = fetchTweet;
+    this.depth = options.depth ?? 3;
+    this.nodes = new Map();
+    this.missing = new Set();
+    this.fetchCount = 0;
+  }
+
+  /**
+   * Stores a tweet as a graph node. Accepts both processed tweets and raw
+   * scraper tweets; collected tweets are flagged so context can be told apart.
+   */
+  addTweet(tweet, collected = false) {
+    if (!tweet?.id) return null;
+
+    let timestamp = tweet.timestamp || tweet.timeParsed?.getTime() || null;
+    if (timestamp && timestamp < 1e12) timestamp *= 1000;
+
+    const existing = this.nodes.get(tweet.id);
+    const node = {
+      id: tweet.id,
+      conversationId: tweet.conversationId || existing?.conversationId || null,
+      username: tweet.username,
+      text: tweet.text,
+      timestamp,
+      createdAt: timestamp ? new Date(timestamp).toISOString() : null,
+      inReplyToStatusId: tweet.inReplyToStatusId || null,
+      quotedStatusId: tweet.quotedStatusId || null,
+      permanentUrl: tweet.permanentUrl,
+      collected: collected || Boolean(existing?.collected),
+    };
+    this.nodes.set(tweet.id, node);
+    return node;
+  }
+
+  async fetchParent(id) {
+    if (this.nodes.has(id)) return this.nodes.get(id);
+    if (this.missing.has(id)) return null;
+
+    try {
+      this.fetchCount++;
+      const tweet = await this.fetchTweet(id);
+      if (!tweet) {
+        this.missing.add(id);
+        return null;
+      }
+
+      // Self-thread continuations come back with the tweet for free
+      (tweet.thread || []).forEach((threadTweet) => this.addTweet(threadTweet));
+      return this.addTweet(tweet);
+    } catch (error) {
+      Logger.warn(`⚠️  Could not fetch tweet ${id}: ${error.message}`);
+      this.missing.add(id);
+      return null;
+    }
+  }
+
+  /**
+   * Adds the collected tweets and walks up each reply chain, fetching
+   * parents until the root or the configured depth is reached.
+   * @param {object[]} tweets - Processed tweets.
+   */
+  async build(tweets) {
+    tweets.forEach((tweet) => this.addTweet(tweet, true));
+
+    for (const tweet of tweets) {
+      let current = this.nodes.get(tweet.id);
+      for (let level = 0; level < this.depth && current?.inReplyToStatusId; level++) {
+        current = await this.fetchParent(current.inReplyToStatusId);
+      }
+    }
+
+    Logger.info(
+      `🧵 Built conversation context with ${this.fetchCount} lookups (${this.missing.size} unavailable)`
+    );
+    return this;
+  }
+
+  /**
+   * Returns the known ancestors of a tweet, oldest first.
+   * @param {string} tweetId - Tweet to get context for.
+   * @returns {object[]} chain - Parent nodes, root first.
+   */
+  getContext(tweetId) {
+    const chain = [];
+    const visited = new Set([tweetId]);
+    let parentId = this.nodes.get(tweetId)?.inReplyToStatusId;
+
+    while (parentId && this.nodes.has(parentId) && !visited.has(parentId)) {
+      visited.add(parentId);
+      const parent = this.nodes.get(parentId);
+      chain.unshift(parent);
+      parentId = parent.inReplyToStatusId;
+    }
+    return chain;
+  }
+
+  /**
+   * Groups the nodes into conversations. Tweets without a conversation id
+   * inherit the one of their oldest known ancestor.
+   * @returns {object} graph - `{ conversations: { [id]: { conversationId, tweets } } }`.
+   */
+  toJSON() {
+    const conversations = {};
+
+    for (const node of this.nodes.values()) {
+      const root = this.getContext(node.id)[0] || node;
+      const conversationId = node.conversationId || root.conversationId || root.id;
+
+      if (!conversations[conversationId]) {
+        conversations[conversationId] = { conversationId, tweets: [] };
+      }
+      conversations[conversationId].tweets.push(node);
+    }
+
+    Object.values(conversations).forEach((conversation) =>
+      conversation.tweets.sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0))
+    );
+
+    return {
+      generatedAt: new Date().toISOString(),
+      depth: this.depth,
+      missing: [...this.missing],
+      conversations,
+    };
+  }
+}
+
+export default ConversationBuilder;
@@ -1,8 +1,144 @@
 // src/utils/DataOrganizer.js
 import fs from 'fs/promises';
+import { createReadStream, createWriteStream } from 'fs';
+import { once } from 'events';
 import path from 'path';
+import readline from 'readline';
 import { format } from 'date-fns';
 import Logger from './Logger.js';
+import TweetStore from './TweetStore.js';
+
+const SNAPSHOT_DIRS = ['raw', 'processed', 'analytics', 'exports', 'meta'];
+
+/**
+ * Writes text to a file through a stream, honouring backpressure. The file
+ * is only created on the first write unless `eager` is set.
+ */
+function createTextWriter(filePath, { eager = false } = {}) {
+  let stream = null;
+  const open = () => (stream ||= createWriteStream(filePath, 'utf-8'));
+  if (eager) open();
+
+  return {
+    written: 0,
+    async write(text) {
+      this.written++;
+      if (!open().write(text)) await once(stream, 'drain');
+    },
+    async close() {
+      if (!stream) return;
+      stream.end();
+      await once(stream, 'finish');
+    },
+  };
+}
+
+/**
+ * Accumulates the analytics of a dataset one tweet at a time, so they can
+ * be computed while streaming over the tweet log.
+ */
+class TweetStats {
+  constructor(topCount = 5) {
+    this.topCount = topCount;
+    this.totalTweets = 0;
+    this.invalidDates = 0;
+    this.directTweets = 0;
+    this.replies = 0;
+    this.retweets = 0;
+    this.quotes = 0;
+    this.engagementTweets = 0;
+    this.totalLikes = 0;
+    this.totalRetweetCount = 0;
+    this.totalReplies = 0;
+    this.topTweets = [];
+    this.oldest = null;
+    this.newest = null;
+    this.contentTypes = { withImages: 0, withVideos: 0, withLinks: 0, textOnly: 0 };
+  }
+
+  add(t) {
+    this.totalTweets++;
+
+    if (t.timestamp === null) {
+      this.invalidDates++;
+    } else {
+      if (this.oldest === null || t.timestamp < this.oldest) this.oldest = t.timestamp;
+      if (this.newest === null || t.timestamp > this.newest) this.newest = t.timestamp;
+    }
+
+    if (!t.isReply && !t.isRetweet) this.directTweets++;
+    if (t.isReply) this.replies++;
+    if (t.isRetweet) this.retweets++;
+    if (t.quotedStatusId) this.quotes++;
+
+    const photos = t.photos?.length || 0;
+    const videos = t.videos?.length || 0;
+    const links = t.urls?.length || 0;
+    if (photos > 0) this.contentTypes.withImages++;
+    if (videos > 0) this.contentTypes.withVideos++;
+    if (links > 0) this.contentTypes.withLinks++;
+    if (photos === 0 && videos === 0 && links === 0) this.contentTypes.textOnly++;
+
+    if (t.isRetweet) return;
+    this.engagementTweets++;
+    this.totalLikes += t.likes || 0;
+    this.totalRetweetCount += t.retweetCount || 0;
+    this.totalReplies += t.replies || 0;
+
+    // Keep the most liked tweets; earlier tweets win ties
+    const likes = t.likes || 0;
+    const last = this.topTweets[this.topTweets.length - 1];
+    if (this.topTweets.length < this.topCount || likes > (last.likes || 0)) {
+      const index = this.topTweets.findIndex((top) => (top.likes || 0) < likes);
+      this.topTweets.splice(index === -1 ? this.topTweets.length : index, 0, {
+        id: t.id,
+        text: t.text,
+        likes: t.likes,
+        retweetCount: t.retweetCount,
+        replies: t.replies,
+        timestamp: t.timestamp,
+        url: t.permanentUrl,
+        quotedTweet: t.quotedTweet
+          ? { username: t.quotedTweet.username, text: t.quotedTweet.text }
+          : undefined,
+      });
+      this.topTweets.length = Math.min(this.topTweets.length, this.topCount);
+    }
+  }
+
+  toJSON() {
+    if (this.totalTweets === 0) {
+      Logger.warn('⚠️  No tweets to analyze.');
+    } else if (this.invalidDates > 0) {
+      Logger.warn(
+        `⚠️  Found ${this.invalidDates} tweets with invalid or missing dates. They will be excluded from analytics.`
+      );
+    }
+
+    return {
+      totalTweets: this.totalTweets,
+      directTweets: this.directTweets,
+      replies: this.replies,
+      retweets: this.retweets,
+      quotes: this.quotes,
+      engagement: {
+        totalLikes: this.totalLikes,
+        totalRetweetCount: this.totalRetweetCount,
+        totalReplies: this.totalReplies,
+        averageLikes: (this.engagementTweets > 0
+          ? this.totalLikes / this.engagementTweets
+          : 0
+        ).toFixed(2),
+        topTweets: this.topTweets,
+      },
+      timeRange: {
+        start: this.oldest !== null ? format(new Date(this.oldest), 'yyyy-MM-dd') : 'N/A',
+        end: this.newest !== null ? format(new Date(this.newest), 'yyyy-MM-dd') : 'N/A',
+      },
+      contentTypes: { ...this.contentTypes },
+    };
+  }
+}
 
 class DataOrganizer {
   constructor(baseDir, username) {
@@ -11,15 +147,33 @@ class DataOrganizer {
       username.toLowerCase(),
       format(new Date(), 'yyyy-MM-dd')
     );
-    this.createDirectories();
+    this.accountName = username.toLowerCase();
+    this.stores = new Map();
+    // Writers await this so files never race the directory creation
+    this.ready = this.createDirectories();
+  }
+
+  /**
+   * Opens the tweet store of an account, filling it from the account's
+   * snapshots the first time.
+   * @param {string} accountName - Defaults to this organizer's account.
+   * @returns {TweetStore} store
+   */
+  async getTweetStore(accountName = this.accountName) {
+    const key = accountName.toLowerCase();
+    if (!this.stores.has(key)) {
+      this.stores.set(key, new TweetStore(path.resolve(this.baseDir, '..', '..'), key));
+    }
+    const store = this.stores.get(key);
+    await store.ready;
+    return store;
   }
 
   /**
    * Creates necessary directories for storing data.
    */
   async createDirectories() {
-    const dirs = ['raw', 'processed', 'analytics', 'exports', 'meta'];
-    for (const dir of dirs) {
+    for (const dir of SNAPSHOT_DIRS) {
       const fullPath = path.join(this.baseDir, dir);
       try {
         await fs.mkdir(fullPath, { recursive: true });
@@ -37,10 +191,21 @@ class DataOrganizer {
     return {
       raw: {
         tweets: path.join(this.baseDir, 'raw', 'tweets.json'),
+        profile: path.join(this.baseDir, 'raw', 'profile.json'),
+        tweetLog: path.join(this.baseDir, 'raw', 'tweets.jsonl'),
+        mentions: path.join(this.baseDir, 'raw', 'mentions.json'),
+        graph: path.join(this.baseDir, 'raw', 'graph.json'),
+        likes: path.join(this.baseDir, 'raw', 'likes.json'),
+        conversations: path.join(this.baseDir, 'raw', 'conversations.json'),
+        media: path.join(this.baseDir, 'raw', 'media'),
+        mediaManifest: path.join(this.baseDir, 'raw', 'media_manifest.json'),
         urls: path.join(this.baseDir, 'raw', 'urls.txt'),
       },
       processed: {
         finetuning: path.join(this.baseDir, 'processed', 'finetuning.jsonl'),
+        conversations: path.join(this.baseDir, 'processed', 'conversations.jsonl'),
+        quotes: path.join(this.baseDir, 'processed', 'quotes.jsonl'),
+        mentionReplies: path.join(this.baseDir, 'processed', 'mention_replies.jsonl'),
       },
       analytics: {
         stats: path.join(this.baseDir, 'analytics', 'stats.json'),
@@ -50,34 +215,343 @@ class DataOrganizer {
       },
       meta: {
         nextToken: path.join(this.baseDir, 'meta', 'next_token.txt'),
+        progress: path.join(this.baseDir, 'meta', 'progress.json'),
+        config: path.join(this.baseDir, 'meta', 'config.json'),
+        runLog: path.join(this.baseDir, 'meta', 'run_log.jsonl'),
+        windows: path.join(this.baseDir, 'meta', 'windows.json'),
       },
     };
   }
 
+  /**
+   * Points the organizer at an existing snapshot folder, e.g. to resume a
+   * run. Today's folder, created up front, is removed again if nothing was
+   * written to it.
+   * @param {string} snapshotDir - Path to a `pipeline/<user>/<date>` folder.
+   */
+  async useSnapshot(snapshotDir) {
+    await this.ready;
+    const previousDir = this.baseDir;
+    this.baseDir = snapshotDir;
+    this.ready = this.createDirectories();
+    await this.ready;
+    if (path.resolve(previousDir) === path.resolve(snapshotDir)) return;
+
+    // rmdir only removes empty folders, so nothing written there is lost
+    for (const dir of [...SNAPSHOT_DIRS.map((name) => path.join(previousDir, name)), previousDir]) {
+      await fs.rmdir(dir).catch(() => {});
+    }
+  }
+
+  /**
+   * Finds the most recent snapshot of an account whose collection was
+   * interrupted before completing.
+   * @param {string} accountName - Account folder name.
+   * @returns {string|null} Path of the snapshot folder, or null if none.
+   */
+  async findResumableRun(accountName) {
+    const accountDir = path.resolve(this.baseDir, '..', '..', accountName.toLowerCase());
+
+    let dateFolders;
+    try {
+      dateFolders = await fs.readdir(accountDir);
+    } catch {
+      return null;
+    }
+
+    for (const dateFolder of dateFolders.sort().reverse()) {
+      const snapshotDir = path.join(accountDir, dateFolder);
+      try {
+        const progress = JSON.parse(
+          await fs.readFile(path.join(snapshotDir, 'meta', 'progress.json'), 'utf-8')
+        );
+        await fs.access(path.join(snapshotDir, 'meta', 'next_token.txt'));
+        if (progress.progress?.completed === false) {
+          return snapshotDir;
+        }
+      } catch {
+        // No checkpoint in this snapshot
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Persists the search cursor. The tweets themselves are already in the
+   * tweet log, so the cursor is all a resume needs. Written to a temp path
+   * first so a crash mid-write never leaves a truncated checkpoint behind.
+   * @param {string|null} cursor - Cursor for the next search page.
+   */
+  async saveCheckpoint(cursor) {
+    await this.ready;
+    const paths = this.getPaths();
+    await fs.writeFile(`${paths.meta.nextToken}.tmp`, cursor || '', 'utf-8');
+    await fs.rename(`${paths.meta.nextToken}.tmp`, paths.meta.nextToken);
+  }
+
+  /**
+   * Loads the checkpoint written by saveCheckpoint.
+   * @returns {{cursor: string|null, ids: Set<string>}|null} Cursor and the
+   *   ids already in the tweet log, or null if there is no checkpoint.
+   */
+  async loadCheckpoint() {
+    const paths = this.getPaths();
+    try {
+      const cursor = await fs.readFile(paths.meta.nextToken, 'utf-8');
+      return { cursor: cursor.trim() || null, ids: await this.loadTweetIds() };
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Saves the date windows of a collection and how far each one got.
+   * @param {object} windows - Serialized DateWindows.
+   */
+  async saveWindows(windows) {
+    await this.ready;
+    const paths = this.getPaths();
+    await fs.writeFile(paths.meta.windows, JSON.stringify(windows, null, 2), 'utf-8');
+  }
+
+  /**
+   * @returns {object|null} The date windows saved by saveWindows, or null
+   *   if this snapshot has none.
+   */
+  async loadWindows() {
+    try {
+      return JSON.parse(await fs.readFile(this.getPaths().meta.windows, 'utf-8'));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Removes checkpoint files once a collection has completed.
+   */
+  async clearCheckpoint() {
+    const paths = this.getPaths();
+    await fs.rm(paths.meta.nextToken, { force: true });
+  }
+
+  /**
+   * Prepares raw/tweets.jsonl for a collection run. A fresh run sets the
+   * previous log aside until the new one is finalized, so an earlier run
+   * from the same day isn't lost if this one produces nothing.
+   * @param {object} options - `append`: keep adding to the current log (resume).
+   */
+  async startTweetLog({ append = false } = {}) {
+    await this.ready;
+    // A new store fills itself from the snapshots before this run's log exists
+    await this.getTweetStore();
+    const { tweetLog } = this.getPaths().raw;
+    if (append) return;
+
+    try {
+      await fs.rename(tweetLog, `${tweetLog}.prev`);
+    } catch {
+      // No earlier log
+    }
+    await fs.writeFile(tweetLog, '', 'utf-8');
+  }
+
+  /**
+   * Appends tweets to the tweet log as they arrive.
+   * @param {object[]} tweets - Processed tweets.
+   */
+  async appendTweets(tweets) {
+    if (tweets.length === 0) return;
+    await this.ready;
+    await fs.appendFile(
+      this.getPaths().raw.tweetLog,
+      tweets.map((tweet) => `${JSON.stringify(tweet)}\n`).join(''),
+      'utf-8'
+    );
+  }
+
+  /**
+   * Appends the tweets of another JSONL file to the tweet log, skipping ids
+   * already in it.
+   * @param {string} filePath - JSONL file to read.
+   * @param {Set<string>} skipIds - Ids already in the log; updated as
+   *   tweets are appended.
+   * @returns {number} appended - How many tweets were appended.
+   */
+  async appendTweetsFrom(filePath, skipIds) {
+    let batch = [];
+    let appended = 0;
+    for await (const tweet of this.streamTweets(filePath)) {
+      if (skipIds.has(tweet.id)) continue;
+      skipIds.add(tweet.id);
+      batch.push(tweet);
+      if (batch.length >= 500) {
+        await this.appendTweets(batch);
+        appended += batch.length;
+        batch = [];
+      }
+    }
+    await this.appendTweets(batch);
+    return appended + batch.length;
+  }
+
+  /**
+   * Drops the log of a run that produced nothing and restores the
+   * previous one, if any.
+   */
+  async discardTweetLog() {
+    const { tweetLog } = this.getPaths().raw;
+    await fs.rm(tweetLog, { force: true });
+    try {
+      await fs.rename(`${tweetLog}.prev`, tweetLog);
+    } catch {
+      // Nothing to restore
+    }
+  }
+
+  /**
+   * Reads a JSONL file one tweet at a time. A line cut short by a crash
+   * is skipped.
+   * @param {string} filePath - Defaults to this snapshot's tweet log.
+   * @returns {AsyncGenerator<object>} tweets
+   */
+  async *streamTweets(filePath = this.getPaths().raw.tweetLog) {
+    let input;
+    try {
+      await fs.access(filePath);
+      input = createReadStream(filePath, 'utf-8');
+    } catch {
+      return;
+    }
+
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    let lineNumber = 0;
+    for await (const line of lines) {
+      lineNumber++;
+      if (!line.trim()) continue;
+      try {
+        yield JSON.parse(line);
+      } catch {
+        Logger.warn(`⚠️  Skipping unreadable line ${lineNumber} of ${filePath}`);
+      }
+    }
+  }
+
+  /**
+   * Reads the whole tweet log into memory, for stages that need random
+   * access to the tweets.
+   * @returns {object[]} tweets
+   */
+  async readTweets() {
+    const tweets = [];
+    for await (const tweet of this.streamTweets()) tweets.push(tweet);
+    return tweets;
+  }
+
+  /**
+   * @returns {Set<string>} ids - Ids of the tweets in the tweet log.
+   */
+  async loadTweetIds() {
+    const ids = new Set();
+    for await (const tweet of this.streamTweets()) ids.add(tweet.id);
+    return ids;
+  }
+
+  /**
+   * Copies every stored tweet of an account from its tweet store into a
+   * JSONL file, newest first, with the latest engagement counts.
+   * @param {string} accountName - Account folder name.
+   * @param {string} targetPath - JSONL file to write.
+   * @returns {{ count: number, newestTimestamp: number|null, ids: Set<string> }}
+   */
+  async copyAccountTweets(accountName, targetPath) {
+    const store = await this.getTweetStore(accountName);
+    const writer = createTextWriter(targetPath, { eager: true });
+    for await (const tweet of store.stream()) {
+      await writer.write(`${JSON.stringify(tweet)}\n`);
+    }
+    await writer.close();
+
+    return {
+      count: store.size,
+      newestTimestamp: await store.newestTimestamp(),
+      ids: await store.ids(),
+    };
+  }
+
   /**
    * Saves collected tweets and related data.
    * @param {object[]} tweets - Array of tweet objects.
    * @returns {object} analytics - Generated analytics from tweets.
    */
   async saveTweets(tweets) {
+    await this.startTweetLog();
+    await this.appendTweets(tweets);
+    return this.finalizeTweets();
+  }
+
+  /**
+   * Streams over the tweet log once to write raw/tweets.json, the URL list,
+   * analytics, fine-tuning and quote exports, and the summary, without
+   * holding the dataset in memory.
+   * @returns {object} analytics - Generated analytics from the tweet log.
+   */
+  async finalizeTweets() {
+    await this.ready;
     const paths = this.getPaths();
+    const stats = new TweetStats();
+    const seen = new Set();
+    const store = await this.getTweetStore();
+    const seenAt = new Date().toISOString();
+    const stored = { added: 0, updated: 0 };
+    let batch = [];
+    const storeBatch = async () => {
+      const { added, updated } = await store.upsert(batch, seenAt);
+      stored.added += added;
+      stored.updated += updated;
+      batch = [];
+    };
+
+    const tweetsFile = createTextWriter(paths.raw.tweets, { eager: true });
+    const urlsFile = createTextWriter(paths.raw.urls, { eager: true });
+    const finetuningFile = createTextWriter(paths.processed.finetuning);
+    const quotesFile = createTextWriter(paths.processed.quotes);
 
     try {
-      // Save raw tweets
-      await fs.writeFile(
-        paths.raw.tweets,
-        JSON.stringify(tweets, null, 2),
-        'utf-8'
+      for await (const tweet of this.streamTweets()) {
+        if (seen.has(tweet.id)) continue;
+        seen.add(tweet.id);
+        stats.add(tweet);
+        batch.push(tweet);
+        if (batch.length >= 500) await storeBatch();
+
+        await tweetsFile.write(`${seen.size === 1 ? '[\n' : ',\n'}${JSON.stringify(tweet)}`);
+        await urlsFile.write(`${seen.size === 1 ? '' : '\n'}${tweet.permanentUrl}`);
+
+        const finetuningEntry = DataOrganizer.toFinetuningEntry(tweet);
+        if (finetuningEntry) {
+          await finetuningFile.write(`${JSON.stringify(finetuningEntry)}\n`);
+        }
+        // Quote tweets as commentary on the content they reference
+        const quoteExample = DataOrganizer.toQuoteExample(tweet);
+        if (quoteExample) {
+          await quotesFile.write(`${JSON.stringify(quoteExample)}\n`);
+        }
+      }
+      await tweetsFile.write(seen.size > 0 ? '\n]\n' : '[]\n');
+      await storeBatch();
+
+      await Promise.all(
+        [tweetsFile, urlsFile, finetuningFile, quotesFile].map((writer) => writer.close())
       );
-      Logger.success(`✅ Saved tweets to ${paths.raw.tweets}`);
+      await fs.rm(`${paths.raw.tweetLog}.prev`, { force: true });
 
-      // Save tweet URLs
-      const urls = tweets.map((t) => t.permanentUrl);
-      await fs.writeFile(paths.raw.urls, urls.join('\n'), 'utf-8');
+      Logger.success(`✅ Saved tweets to ${paths.raw.tweets}`);
       Logger.success(`✅ Saved tweet URLs to ${paths.raw.urls}`);
+      Logger.info(
+        `🗄️  Tweet store: ${stored.added} new, ${stored.updated} with updated engagement (${store.size.toLocaleString()} total)`
+      );
 
-      // Generate and save analytics
-      const analytics = this.generateAnalytics(tweets);
+      const analytics = stats.toJSON();
       await fs.writeFile(
         paths.analytics.stats,
         JSON.stringify(analytics, null, 2),
@@ -85,27 +559,22 @@ class DataOrganizer {
       );
       Logger.success(`✅ Saved analytics to ${paths.analytics.stats}`);
 
-      // Generate and save fine-tuning data
-      const finetuningData = this.generateFinetuningData(tweets);
       Logger.info(
-        `ℹ️  Generating fine-tuning data with ${finetuningData.length} entries`
+        `ℹ️  Generating fine-tuning data with ${finetuningFile.written} entries`
       );
-
-      if (finetuningData.length > 0) {
-        await fs.writeFile(
-          paths.processed.finetuning,
-          finetuningData.map((d) => JSON.stringify(d)).join('\n'),
-          'utf-8'
-        );
+      if (finetuningFile.written > 0) {
         Logger.success(
           `✅ Saved fine-tuning data to ${paths.processed.finetuning}`
         );
       } else {
         Logger.warn('⚠️  No fine-tuning data to save.');
       }
+      if (quotesFile.written > 0) {
+        Logger.success(`✅ Saved quote commentary data to ${paths.processed.quotes}`);
+      }
 
       // Generate and save summary
-      const summary = this.generateSummary(tweets, analytics);
+      const summary = this.generateSummary(analytics);
       await fs.writeFile(paths.exports.summary, summary, 'utf-8');
       Logger.success(`✅ Saved summary to ${paths.exports.summary}`);
 
@@ -122,98 +591,254 @@ class DataOrganizer {
    * @returns {object} analytics - Generated analytics data.
    */
   generateAnalytics(tweets) {
-    if (tweets.length === 0) {
-      Logger.warn('⚠️  No tweets to analyze.');
-      return {
-        totalTweets: 0,
-        directTweets: 0,
-        replies: 0,
-        retweets: 0,
-        engagement: {
-          totalLikes: 0,
-          totalRetweetCount: 0,
-          totalReplies: 0,
-          averageLikes: '0.00',
-          topTweets: [],
-        },
-        timeRange: {
-          start: 'N/A',
-          end: 'N/A',
-        },
-        contentTypes: {
-          withImages: 0,
-          withVideos: 0,
-          withLinks: 0,
-          textOnly: 0,
-        },
-      };
+    const stats = new TweetStats();
+    tweets.forEach((tweet) => stats.add(tweet));
+    return stats.toJSON();
+  }
+
+
+  /**
+   * Saves replies and mentions directed at the account, plus chat-style
+   * examples pairing each mention with the account's reply to it.
+   * @param {object[]} mentions - Mention tweets with `targetReplyIds`.
+   * @param {object[]} tweets - The account's replies to those mentions.
+   */
+  async saveMentions(mentions, tweets) {
+    await this.ready;
+    const paths = this.getPaths();
+
+    await fs.writeFile(
+      paths.raw.mentions,
+      JSON.stringify(mentions, null, 2),
+      'utf-8'
+    );
+    Logger.success(`✅ Saved ${mentions.length} mentions to ${paths.raw.mentions}`);
+
+    const tweetsById = new Map(tweets.map((tweet) => [tweet.id, tweet]));
+    const examples = mentions.flatMap((mention) =>
+      mention.targetReplyIds
+        .map((id) => tweetsById.get(id))
+        .map((reply) => ({
+          messages: [
+            { role: 'user', content: DataOrganizer.cleanTweetText(mention.text) },
+            { role: 'assistant', content: DataOrganizer.cleanTweetText(reply?.text) },
+          ],
+        }))
+        .filter((example) => example.messages.every((message) => message.content))
+    );
+
+    if (examples.length > 0) {
+      await fs.writeFile(
+        paths.processed.mentionReplies,
+        examples.map((d) => JSON.stringify(d)).join('\n'),
+        'utf-8'
+      );
+      Logger.success(
+        `✅ Saved ${examples.length} mention/reply pairs to ${paths.processed.mentionReplies}`
+      );
     }
+  }
+
+  /**
+   * Saves the full profile snapshot of the account for this run.
+   * @param {object} profile - Snapshot built by the pipeline.
+   */
+  async saveProfile(profile) {
+    await this.ready;
+    const paths = this.getPaths();
+    await fs.writeFile(
+      paths.raw.profile,
+      JSON.stringify(profile, null, 2),
+      'utf-8'
+    );
+    Logger.success(`✅ Saved profile snapshot to ${paths.raw.profile}`);
+  }
 
-    const validTweets = tweets.filter((t) => t.timestamp !== null);
-    const invalidTweets = tweets.filter((t) => t.timestamp === null);
+  /**
+   * Loads the profile snapshots stored for an account and lists what
+   * changed between consecutive ones. Static so reading the history does
+   * not create a snapshot folder for today.
+   * @param {string} baseDir - Pipeline root, e.g. `pipeline`.
+   * @param {string} accountName - Account folder name.
+   * @returns {object[]} history - `{ date, profile, changes }` per snapshot,
+   *   oldest first. `changes` maps each changed field to `{ from, to }`.
+   */
+  static async getProfileHistory(baseDir, accountName) {
+    const accountDir = path.join(baseDir, accountName.toLowerCase());
+    const dateFolders = (await fs.readdir(accountDir)).sort();
+    const fields = [
+      'name',
+      'biography',
+      'location',
+      'website',
+      'followersCount',
+      'followingCount',
+      'tweetsCount',
+      'isVerified',
+      'isBlueVerified',
+    ];
+
+    const history = [];
+    for (const dateFolder of dateFolders) {
+      const profilePath = path.join(accountDir, dateFolder, 'raw', 'profile.json');
+      let profile;
+      try {
+        profile = JSON.parse(await fs.readFile(profilePath, 'utf-8'));
+      } catch {
+        continue; // Snapshot from before profiles were stored
+      }
 
-    if (invalidTweets.length > 0) {
-      Logger.warn(
-        `⚠️  Found ${invalidTweets.length} tweets with invalid or missing dates. They will be excluded from analytics.`
+      const previous = history[history.length - 1]?.profile;
+      const changes = {};
+      if (previous) {
+        for (const field of fields) {
+          if (previous[field] !== profile[field]) {
+            changes[field] = { from: previous[field], to: profile[field] };
+          }
+        }
+      }
+      history.push({ date: dateFolder, profile, changes });
+    }
+    return history;
+  }
+
+  /**
+   * Saves the settings and filter options a collection run used.
+   * @param {object} config - Run settings and resolved filter options.
+   */
+  async saveRunConfig(config) {
+    await this.ready;
+    const paths = this.getPaths();
+    await fs.writeFile(paths.meta.config, JSON.stringify(config, null, 2), 'utf-8');
+    Logger.info(`📝 Saved run configuration to ${paths.meta.config}`);
+  }
+
+  /**
+   * Saves tweets the account liked, as listed in an imported archive.
+   * @param {object[]} likes - `{ id, text, permanentUrl }` entries.
+   */
+  async saveLikes(likes) {
+    await this.ready;
+    const paths = this.getPaths();
+    await fs.writeFile(paths.raw.likes, JSON.stringify(likes, null, 2), 'utf-8');
+    Logger.success(`✅ Saved ${likes.length} likes to ${paths.raw.likes}`);
+  }
+
+  /**
+   * Saves the follow and interaction graph of the account.
+   * @param {object} graph - Serialized InteractionGraph.
+   */
+  async saveGraph(graph) {
+    await this.ready;
+    const paths = this.getPaths();
+    await fs.writeFile(paths.raw.graph, JSON.stringify(graph, null, 2), 'utf-8');
+    Logger.success(
+      `✅ Saved ${graph.following.count} followed accounts and ${graph.interactions.length} interactions to ${paths.raw.graph}`
+    );
+  }
+
+  /**
+   * Saves the media manifest mapping tweet ids to downloaded files.
+   * @param {object} manifest - Manifest built by MediaDownloader.
+   */
+  async saveMediaManifest(manifest) {
+    await this.ready;
+    const paths = this.getPaths();
+    await fs.writeFile(
+      paths.raw.mediaManifest,
+      JSON.stringify(manifest, null, 2),
+      'utf-8'
+    );
+    Logger.success(`✅ Saved media manifest to ${paths.raw.mediaManifest}`);
+  }
+
+  /**
+   * Strips URLs and hashtags from tweet text for training data.
+   * @param {string} text - Raw tweet text.
+   * @returns {string} cleanText - Cleaned text, possibly empty.
+   */
+  static cleanTweetText(text) {
+    return (text || '')
+      .replace(/(?:https?:\/\/|www\.)[^\s]+/g, '') // Remove URLs
+      .replace(/#[^\s#]+/g, '') // Remove Hashtags
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Saves the conversation graph and chat-style fine-tuning examples that
+   * pair each of the account's replies with the tweets it replied to.
+   * @param {ConversationBuilder} conversations - Built conversation graph.
+   * @param {object[]} tweets - Collected tweets.
+   * @param {string} username - Account the dataset belongs to.
+   */
+  async saveConversations(conversations, tweets, username) {
+    await this.ready;
+    const paths = this.getPaths();
+    const isOwn = (node) => node.username?.toLowerCase() === username.toLowerCase();
+
+    await fs.writeFile(
+      paths.raw.conversations,
+      JSON.stringify(conversations.toJSON(), null, 2),
+      'utf-8'
+    );
+    Logger.success(`✅ Saved conversation graph to ${paths.raw.conversations}`);
+
+    const examples = tweets
+      .filter((tweet) => !tweet.isRetweet && tweet.inReplyToStatusId)
+      .map((tweet) => {
+        const messages = [...conversations.getContext(tweet.id), tweet]
+          .map((node) => ({
+            role: isOwn(node) ? 'assistant' : 'user',
+            content: DataOrganizer.cleanTweetText(node.text),
+          }))
+          .filter((message) => message.content);
+
+        return messages.length > 1 ? { messages } : null;
+      })
+      .filter(Boolean);
+
+    if (examples.length > 0) {
+      await fs.writeFile(
+        paths.processed.conversations,
+        examples.map((d) => JSON.stringify(d)).join('\n'),
+        'utf-8'
+      );
+      Logger.success(
+        `✅ Saved ${examples.length} conversation examples to ${paths.processed.conversations}`
       );
     }
+  }
 
-    const validDates = validTweets
-      .map((t) => t.timestamp)
-      .sort((a, b) => a - b);
+  /**
+   * Builds the fine-tuning entry for one tweet.
+   * @param {object} tweet - Tweet object.
+   * @returns {object|null} entry - `{ text }`, or null if the tweet is a
+   *   retweet or has no text left after cleaning.
+   */
+  static toFinetuningEntry(tweet) {
+    if (tweet.isRetweet || !tweet.text || tweet.timestamp === null) return null;
+    const cleanText = DataOrganizer.cleanTweetText(tweet.text);
+    return cleanText ? { text: cleanText } : null;
+  }
 
-    const tweetsForEngagement = tweets.filter((t) => !t.isRetweet);
+  /**
+   * Builds a chat-style example that pairs a resolved quote tweet with the
+   * tweet it quotes, so the commentary keeps its subject.
+   * @param {object} tweet - Tweet object.
+   * @returns {object|null} example - `{ messages }`, or null.
+   */
+  static toQuoteExample(tweet) {
+    if (tweet.isRetweet || !tweet.quotedTweet?.text) return null;
+    const quoted = DataOrganizer.cleanTweetText(tweet.quotedTweet.text);
+    const commentary = DataOrganizer.cleanTweetText(tweet.text);
+    if (!quoted || !commentary) return null;
 
     return {
-      totalTweets: tweets.length,
-      directTweets: tweets.filter((t) => !t.isReply && !t.isRetweet).length,
-      replies: tweets.filter((t) => t.isReply).length,
-      retweets: tweets.filter((t) => t.isRetweet).length,
-      engagement: {
-        totalLikes: tweetsForEngagement.reduce(
-          (sum, t) => sum + (t.likes || 0),
-          0
-        ),
-        totalRetweetCount: tweetsForEngagement.reduce(
-          (sum, t) => sum + (t.retweetCount || 0),
-          0
-        ),
-        totalReplies: tweetsForEngagement.reduce(
-          (sum, t) => sum + (t.replies || 0),
-          0
-        ),
-        averageLikes: (
-          tweetsForEngagement.reduce((sum, t) => sum + (t.likes || 0), 0) /
-          tweetsForEngagement.length
-        ).toFixed(2),
-        topTweets: tweetsForEngagement
-          .sort((a, b) => (b.likes || 0) - (a.likes || 0))
-          .slice(0, 5)
-          .map((t) => ({
-            id: t.id,
-            text: t.text,
-            likes: t.likes,
-            retweetCount: t.retweetCount,
-            replies: t.replies,
-            timestamp: t.timestamp,
-            url: t.permanentUrl,
-          })),
-      },
-      timeRange: {
-        start: format(new Date(validDates[0]), 'yyyy-MM-dd'),
-        end: format(new Date(validDates[validDates.length - 1]), 'yyyy-MM-dd'),
-      },
-      contentTypes: {
-        withImages: tweets.filter((t) => t.photos.length > 0).length,
-        withVideos: tweets.filter((t) => t.videos.length > 0).length,
-        withLinks: tweets.filter((t) => t.urls.length > 0).length,
-        textOnly: tweets.filter(
-          (t) =>
-            t.photos.length === 0 &&
-            t.videos.length === 0 &&
-            t.urls.length === 0
-        ).length,
-      },
+      messages: [
+        { role: 'user', content: `@${tweet.quotedTweet.username}: ${quoted}` },
+        { role: 'assistant', content: commentary },
+      ],
     };
   }
 
@@ -223,36 +848,24 @@ class DataOrganizer {
    * @returns {object[]} fineTuningData - Array of fine-tuning data objects.
    */
   generateFinetuningData(tweets) {
-    return tweets
-      .filter(
-        (tweet) => !tweet.isRetweet && tweet.text && tweet.timestamp !== null
-      )
-      .map((tweet) => {
-        let cleanText = tweet.text
-          .replace(/(?:https?:\/\/|www\.)[^\s]+/g, '') // Remove URLs
-          .replace(/#[^\s#]+/g, '') // Remove Hashtags
-          .replace(/\s+/g, ' ')
-          .trim();
-
-        if (!cleanText) return null;
+    return tweets.map((tweet) => DataOrganizer.toFinetuningEntry(tweet)).filter(Boolean);
+  }
 
-        return {
-          text: cleanText,
-        };
-      })
-      .filter((entry) => {
-        if (!entry) return false;
-        return typeof entry.text === 'string' && entry.text.length > 0;
-      });
+  /**
+   * Generates quote commentary examples from tweets.
+   * @param {object[]} tweets - Array of tweet objects.
+   * @returns {object[]} quoteData - Array of `{ messages }` objects.
+   */
+  generateQuoteData(tweets) {
+    return tweets.map((tweet) => DataOrganizer.toQuoteExample(tweet)).filter(Boolean);
   }
 
   /**
    * Generates a summary of the collected data.
-   * @param {object[]} tweets - Array of tweet objects.
    * @param {object} analytics - Generated analytics data.
    * @returns {string} summary - Markdown formatted summary.
    */
-  generateSummary(tweets, analytics) {
+  generateSummary(analytics) {
     return `# Twitter Data Collection Summary
 
 ## Overview
@@ -264,6 +877,7 @@ class DataOrganizer {
 - **Direct Tweets:** ${analytics.directTweets}
 - **Replies:** ${analytics.replies}
 - **Retweets (retweeted tweets):** ${analytics.retweets}
+- **Quote Tweets:** ${analytics.quotes}
 
 ## Content Types
 - **With Images:** ${analytics.contentTypes.withImages}
@@ -279,7 +893,12 @@ class DataOrganizer {
 
 ## Top Tweets
 ${analytics.engagement.topTweets
-  .map((t) => `- [${t.likes} likes] ${t.text}...\n  • ${t.url}`)
+  .map(
+    (t) =>
+      `- [${t.likes} likes] ${t.text}...` +
+      (t.quotedTweet ? `\n  > Quoting @${t.quotedTweet.username}: ${t.quotedTweet.text}` : '') +
+      `\n  • ${t.url}`
+  )
   .join('\n\n')}
 
 ## Storage Details
@@ -288,42 +907,62 @@ Raw data, analytics, and exports can be found in:
 `;
   }
 
-  async getTweetsForAccount(accountName) {
-    const accountDir = path.resolve(this.baseDir, '..', '..', accountName);
-    const dateFolders = await fs.readdir(accountDir);
+  /**
+   * Loads every stored tweet of an account, once each with its latest
+   * engagement counts, newest first.
+   * @param {string} accountName - Account folder name.
+   * @param {object} query - Optional TweetStore query options.
+   * @returns {object[]} tweets
+   */
+  async getTweetsForAccount(accountName, query = {}) {
+    const store = await this.getTweetStore(accountName);
+    return store.query(query);
+  }
 
-    let allTweets = [];
-    for (const dateFolder of dateFolders) {
-        const rawTweetsPath = path.join(accountDir, dateFolder, 'raw', 'tweets.json');
-        try {
-            const data = await fs.readFile(rawTweetsPath, 'utf-8');
-            allTweets = allTweets.concat(JSON.parse(data));
-        } catch (error) {
-            // Ignore if file doesn't exist for a particular day
-        }
+  /**
+   * Merges tweet lists into one de-duplicated dataset, newest tweet first.
+   * When a tweet id appears more than once the later occurrence wins, so
+   * pass lists oldest-snapshot first to keep the latest engagement counts.
+   * @param {...object[]} tweetLists - Arrays of tweet objects.
+   * @returns {object[]} merged - De-duplicated tweets.
+   */
+  mergeTweets(...tweetLists) {
+    const byId = new Map();
+    for (const tweets of tweetLists) {
+      for (const tweet of tweets) {
+        byId.set(tweet.id, tweet);
+      }
     }
-    return allTweets;
+    return [...byId.values()].sort((a, b) => b.timestamp - a.timestamp);
   }
 
   async createMergedCharacter(sourceAccounts, options) {
+    const sortBy = {
+      'Likes only': 'likes',
+      'Retweets only': 'retweets',
+    }[options.rankingMethod] || 'engagement';
+    const limit = options.tweetsPerAccount || 50;
+
+    // The overall top tweets are among each account's own top tweets
     let allTweets = [];
     for (const account of sourceAccounts) {
-      const tweets = await this.getTweetsForAccount(account);
+      const tweets = await this.getTweetsForAccount(account, {
+        excludeRetweets: options.excludeRetweets,
+        sortBy,
+        limit,
+      });
       allTweets.push(...tweets);
     }
 
-    if (options.excludeRetweets) {
-      allTweets = allTweets.filter(tweet => !tweet.isRetweet);
-    }
-    
     // Rank tweets
-    allTweets.sort((a, b) => {
-      const engagementA = (a.likes || 0) + (a.retweetCount || 0);
-      const engagementB = (b.likes || 0) + (b.retweetCount || 0);
-      return engagementB - engagementA;
-    });
-
-    const topTweets = allTweets.slice(0, options.tweetsPerAccount || 50);
+    const score = {
+      likes: (tweet) => tweet.likes || 0,
+      retweets: (tweet) => tweet.retweetCount || 0,
+      engagement: (tweet) => (tweet.likes || 0) + (tweet.retweetCount || 0),
+    }[sortBy];
+    allTweets.sort((a, b) => score(b) - score(a));
+
+    const topTweets = allTweets.slice(0, limit);
 
     // Save the merged character data
     await this.saveTweets(topTweets);
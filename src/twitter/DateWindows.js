@@ -0,0 +1,223 @@
+// DateWindows.js
+const DAY = 24 * 60 * 60 * 1000;
+
+// Windows expected to hold fewer tweets than this are never flagged as gaps
+const MIN_EXPECTED_TWEETS = 10;
+
+// yyyy-MM-dd in UTC, the form search's since:/until: take
+const toDay = (time) => new Date(time).toISOString().slice(0, 10);
+
+// First day of the following month
+const addMonth = (time) => {
+  const date = new Date(time);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+};
+
+/**
+ * Splits a collection range into date windows that are searched one at a
+ * time, newest first. A long `from:` search tends to stop well before the
+ * start of an account's history; separate windows get further back and
+ * show where they didn't. Windows are calendar months, and a month that
+ * returns at least `denseTweets` tweets is collected again week by week,
+ * since a search that busy may have been cut short.
+ *
+ * Each window is a plain object saved to meta/windows.json: `start` and
+ * `end` (yyyy-MM-dd, end exclusive like until:, null when open), the
+ * `granularity`, a `status` (pending, partial, complete or split), the
+ * search `query` and `cursor`, how many `tweets` the search returned and
+ * how many were `kept`, and the `oldestTweet` and `newestTweet` seen.
+ */
+class DateWindows {
+  /**
+   * @param {object[]} windows - Windows, newest first.
+   * @param {object} options - `denseTweets`: tweets that make a month
+   *   dense; `gapRatio`: share of the expected tweets below which a window
+   *   is reported as a gap.
+   */
+  constructor(windows, options = {}) {
+    this.windows = windows;
+    this.denseTweets = options.denseTweets || 500;
+    this.gapRatio = options.gapRatio || 0.2;
+  }
+
+  static createWindow(start, end, granularity) {
+    return {
+      start,
+      end,
+      granularity,
+      status: 'pending',
+      query: null,
+      cursor: null,
+      tweets: 0,
+      kept: 0,
+      oldestTweet: null,
+      newestTweet: null,
+    };
+  }
+
+  /**
+   * Plans monthly windows between two dates. Without a start date the
+   * range is a single window. Months after today are left out.
+   * @param {string|null} start - First day to collect.
+   * @param {string|null} end - Day after the last one to collect; null for
+   *   up to now.
+   * @param {object} options - See the constructor.
+   * @returns {DateWindows}
+   */
+  static plan(start, end, options = {}) {
+    if (!start) {
+      return new DateWindows([DateWindows.createWindow(null, end, 'all')], options);
+    }
+
+    const first = new Date(start).getTime();
+    const last = Math.min(end ? new Date(end).getTime() : Infinity, Date.now() + DAY);
+    const windows = [];
+    for (let from = first; from < last; from = addMonth(from)) {
+      const to = addMonth(from);
+      windows.unshift(
+        DateWindows.createWindow(toDay(from), to >= last ? end : toDay(to), 'month')
+      );
+    }
+
+    // A range that starts after it ends still gets searched once
+    if (windows.length === 0) {
+      windows.push(DateWindows.createWindow(start, end, 'all'));
+    }
+    return new DateWindows(windows, options);
+  }
+
+  /**
+   * @param {object} saved - Contents of meta/windows.json.
+   * @param {object} options - See the constructor.
+   * @returns {DateWindows}
+   */
+  static fromJSON(saved, options = {}) {
+    return new DateWindows(saved.windows, options);
+  }
+
+  /**
+   * @returns {object|null} The newest window still to collect, or one that
+   *   was left partway through.
+   */
+  next() {
+    return (
+      this.windows.find(
+        (window) => window.status === 'pending' || window.status === 'partial'
+      ) || null
+    );
+  }
+
+  /**
+   * Records a page of search results for a window.
+   * @param {object} window
+   * @param {number[]} times - Epoch ms of the tweets the search returned.
+   * @param {number} kept - How many of them were new and passed the filters.
+   */
+  addPage(window, times, kept) {
+    window.tweets += times.length;
+    window.kept += kept;
+    if (times.length === 0) return;
+
+    const oldest = toDay(Math.min(...times));
+    const newest = toDay(Math.max(...times));
+    if (!window.oldestTweet || oldest < window.oldestTweet) window.oldestTweet = oldest;
+    if (!window.newestTweet || newest > window.newestTweet) window.newestTweet = newest;
+  }
+
+  /**
+   * Marks a window whose search ran out of results as complete. A dense
+   * month is split into weeks that are collected next.
+   * @param {object} window
+   * @returns {boolean} split - Whether the window was split into weeks.
+   */
+  complete(window) {
+    window.cursor = null;
+    if (window.granularity !== 'month' || window.tweets < this.denseTweets) {
+      window.status = 'complete';
+      return false;
+    }
+
+    window.status = 'split';
+    const last = Math.min(
+      window.end ? new Date(window.end).getTime() : Infinity,
+      Date.now() + DAY
+    );
+    const weeks = [];
+    for (let from = new Date(window.start).getTime(); from < last; from += 7 * DAY) {
+      const to = from + 7 * DAY;
+      weeks.unshift(
+        DateWindows.createWindow(toDay(from), to >= last ? window.end : toDay(to), 'week')
+      );
+    }
+    this.windows.splice(this.windows.indexOf(window) + 1, 0, ...weeks);
+    return true;
+  }
+
+  /**
+   * @returns {object[]} Windows not collected to the end.
+   */
+  incomplete() {
+    return this.windows.filter(
+      (window) => window.status === 'pending' || window.status === 'partial'
+    );
+  }
+
+  /**
+   * Finds complete windows that returned suspiciously few tweets: fewer
+   * than `gapRatio` of what the slower of the windows on either side
+   * predicts. Comparing with neighbours rather than the whole range keeps
+   * an account's quiet early years from being flagged, and taking the
+   * slower one keeps a quiet month next to a busy one from being flagged.
+   * Windows that end after today are still filling up and never count.
+   * @returns {object[]} gaps - `{ start, end, tweets, expected }`, oldest first.
+   */
+  gaps() {
+    const today = toDay(Date.now());
+    const days = (window) =>
+      Math.max(1, (new Date(window.end).getTime() - new Date(window.start).getTime()) / DAY);
+    const collected = this.windows
+      .filter(
+        (window) =>
+          window.status === 'complete' && window.start && window.end && window.end <= today
+      )
+      .reverse();
+
+    return collected.flatMap((window, index) => {
+      const neighbours = [collected[index - 1], collected[index + 1]].filter(Boolean);
+      if (neighbours.length === 0) return [];
+
+      const rate = Math.min(...neighbours.map((neighbour) => neighbour.tweets / days(neighbour)));
+      const expected = Math.round(rate * days(window));
+      if (expected < MIN_EXPECTED_TWEETS || window.tweets >= expected * this.gapRatio) {
+        return [];
+      }
+      return [{ start: window.start, end: window.end, tweets: window.tweets, expected }];
+    });
+  }
+
+  /**
+   * @returns {object} Counts of windows by status, and the gaps.
+   */
+  summarize() {
+    const count = (status) => this.windows.filter((window) => window.status === status).length;
+    return {
+      total: this.windows.filter((window) => window.status !== 'split').length,
+      complete: count('complete'),
+      split: count('split'),
+      incomplete: this.incomplete().length,
+      gaps: this.gaps(),
+    };
+  }
+
+  toJSON() {
+    const { gaps, ...counts } = this.summarize();
+    return {
+      updatedAt: new Date().toISOString(),
+      ...counts,
+      gaps,
+      windows: this.windows,
+    };
+  }
+}
+
+export default DateWindows;
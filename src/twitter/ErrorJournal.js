@@ -0,0 +1,157 @@
+// ErrorJournal.js
+import fs from 'fs/promises';
+import path from 'path';
+import { AuthenticationError } from '@the-convocation/twitter-scraper';
+
+// Error classes and the exit status a failed run ends with
+const EXIT_CODES = {
+  auth: 10,
+  rateLimit: 11,
+  network: 12,
+  parse: 13,
+  storage: 14,
+  llm: 15,
+  unknown: 1,
+};
+
+const NETWORK_CODES = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'ENOTFOUND',
+  'EAI_AGAIN',
+  'EPIPE',
+  'UND_ERR_CONNECT_TIMEOUT',
+  'UND_ERR_SOCKET',
+];
+
+// Entries kept per snapshot journal
+const MAX_ENTRIES = 100;
+
+/**
+ * Classifies pipeline failures and keeps them in each snapshot's
+ * `meta/error_log.json`.
+ */
+class ErrorJournal {
+  static get kinds() {
+    return Object.keys(EXIT_CODES);
+  }
+
+  /**
+   * Sorts an error into auth, rateLimit, network, parse, storage, llm or
+   * unknown. A `kind` already set on the error wins.
+   * @param {Error} error
+   * @returns {string} kind
+   */
+  static classify(error) {
+    if (EXIT_CODES[error?.kind]) return error.kind;
+
+    const status = error?.response?.status ?? error?.status;
+    const message = error?.message || '';
+    const code = error?.code || error?.cause?.code;
+
+    if (status === 429 || /rate limit/i.test(message)) return 'rateLimit';
+    if (error instanceof AuthenticationError || status === 401 || status === 403) {
+      return 'auth';
+    }
+    if (
+      status >= 500 ||
+      status === 408 ||
+      NETWORK_CODES.includes(code) ||
+      /Failed to perform request|fetch failed|socket hang up|working prox/i.test(message)
+    ) {
+      return 'network';
+    }
+    // File system errors name the path they failed on
+    if (error?.syscall && error?.path) return 'storage';
+    if (error instanceof SyntaxError || /JSON|parse/i.test(message)) return 'parse';
+    return 'unknown';
+  }
+
+  /**
+   * @param {string} kind - Error class from classify().
+   * @returns {number} The exit status for a run that failed with it.
+   */
+  static exitCode(kind) {
+    return EXIT_CODES[kind] || EXIT_CODES.unknown;
+  }
+
+  /**
+   * The exit status for a set of run results: 0 if none failed, the class's
+   * status if every failure shares one, and 1 for a mix.
+   * @param {object[]} results - Run results with `status` and `errorKind`.
+   * @returns {number} exitCode
+   */
+  static exitCodeFor(results) {
+    const kinds = new Set(
+      results
+        .filter((result) => result.status === 'failed')
+        .map((result) => result.errorKind || 'unknown')
+    );
+    if (kinds.size === 0) return 0;
+    return kinds.size === 1 ? ErrorJournal.exitCode([...kinds][0]) : EXIT_CODES.unknown;
+  }
+
+  /**
+   * Appends an entry to a snapshot's error journal, keeping the most recent
+   * MAX_ENTRIES.
+   * @param {string} logPath - The snapshot's `meta/error_log.json`.
+   * @param {object} entry - Record with at least `timestamp`, `kind` and `error`.
+   */
+  static async append(logPath, entry) {
+    let entries = [];
+    try {
+      entries = JSON.parse(await fs.readFile(logPath, 'utf-8'));
+    } catch {
+      // File doesn't exist yet
+    }
+
+    entries.push(entry);
+    await fs.mkdir(path.dirname(logPath), { recursive: true });
+    await fs.writeFile(logPath, JSON.stringify(entries.slice(-MAX_ENTRIES), null, 2));
+  }
+
+  /**
+   * Reads the error journals of every snapshot under the pipeline folder.
+   * @param {string} pipelineDir - Usually `pipeline`.
+   * @param {object} options - `since` (epoch ms) and `account`.
+   * @returns {object[]} entries - Newest first, each with `account` and `snapshot`.
+   */
+  static async collect(pipelineDir, { since = 0, account = null } = {}) {
+    const entries = [];
+    const accounts = account
+      ? [account.toLowerCase()]
+      : await fs.readdir(pipelineDir).catch(() => []);
+
+    for (const accountName of accounts) {
+      const snapshots = await fs
+        .readdir(path.join(pipelineDir, accountName))
+        .catch(() => []);
+
+      for (const snapshot of snapshots.filter((name) => /^\d{4}-\d{2}-\d{2}$/.test(name))) {
+        const logPath = path.join(pipelineDir, accountName, snapshot, 'meta', 'error_log.json');
+        let journal;
+        try {
+          journal = JSON.parse(await fs.readFile(logPath, 'utf-8'));
+        } catch {
+          continue;
+        }
+
+        journal
+          .filter((entry) => new Date(entry.timestamp).getTime() >= since)
+          .forEach((entry) =>
+            entries.push({
+              account: accountName,
+              snapshot,
+              ...entry,
+              kind: entry.kind || ErrorJournal.classify(entry.error),
+            })
+          );
+      }
+    }
+
+    return entries.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  }
+}
+
+export default ErrorJournal;
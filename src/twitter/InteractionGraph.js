@@ -0,0 +1,145 @@
+// InteractionGraph.js
+const HANDLE = /@(\w{1,15})/g;
+
+class InteractionGraph {
+  /**
+   * @param {string} username - Account the graph is built around.
+   */
+  constructor(username) {
+    this.username = username.toLowerCase();
+    this.accounts = new Map();
+    this.following = [];
+    this.followingComplete = true;
+  }
+
+  getAccount(username) {
+    const key = username.toLowerCase();
+    if (!this.accounts.has(key)) {
+      this.accounts.set(key, {
+        username,
+        replies: 0,
+        mentions: 0,
+        quotes: 0,
+        retweets: 0,
+        mentionedBy: 0,
+        firstAt: null,
+        lastAt: null,
+      });
+    }
+    return this.accounts.get(key);
+  }
+
+  record(username, kind, timestamp) {
+    if (!username || username.toLowerCase() === this.username) return;
+    const account = this.getAccount(username);
+    account[kind]++;
+
+    if (timestamp) {
+      const at = new Date(timestamp).toISOString();
+      if (!account.firstAt || at < account.firstAt) account.firstAt = at;
+      if (!account.lastAt || at > account.lastAt) account.lastAt = at;
+    }
+  }
+
+  /**
+   * Counts who the account replies to, mentions, quotes and retweets in
+   * one tweet. Reply targets are the handles leading a reply's text; any
+   * other handle in the text counts as a mention.
+   * @param {object} tweet - One of the account's processed tweets.
+   */
+  addTweet(tweet) {
+    const text = tweet.text || '';
+
+    const retweet = text.match(/^RT @(\w{1,15}):/);
+    if (tweet.isRetweet || retweet) {
+      this.record(retweet?.[1], 'retweets', tweet.timestamp);
+      return;
+    }
+
+    const leading = tweet.isReply
+      ? text.match(/^(?:@\w{1,15}\s+)+/)?.[0] || ''
+      : '';
+    const replyTargets = [...leading.matchAll(HANDLE)].map((match) => match[1]);
+    const mentioned = [...text.slice(leading.length).matchAll(HANDLE)].map(
+      (match) => match[1]
+    );
+
+    // A reply names everyone in the thread; the first handle is who it answers
+    if (replyTargets.length > 0) {
+      this.record(replyTargets[0], 'replies', tweet.timestamp);
+    }
+    new Set(mentioned).forEach((username) =>
+      this.record(username, 'mentions', tweet.timestamp)
+    );
+    this.record(tweet.quotedTweet?.username, 'quotes', tweet.timestamp);
+  }
+
+  /**
+   * @param {object[]} tweets - The account's processed tweets.
+   */
+  addTweets(tweets) {
+    tweets.forEach((tweet) => this.addTweet(tweet));
+  }
+
+  /**
+   * Counts accounts that mention or reply to the account.
+   * @param {object[]} mentions - Tweets collected by mention collection.
+   */
+  addMentions(mentions) {
+    for (const mention of mentions) {
+      this.record(mention.username, 'mentionedBy', mention.timestamp);
+    }
+  }
+
+  /**
+   * @param {object[]} profiles - Profiles the account follows.
+   * @param {boolean} complete - False if the list was cut short.
+   */
+  setFollowing(profiles, complete = true) {
+    this.following = profiles.map((profile) => ({
+      userId: profile.userId,
+      username: profile.username,
+      name: profile.name,
+      biography: profile.biography || '',
+      followersCount: profile.followersCount ?? null,
+      isVerified: Boolean(profile.isVerified || profile.isBlueVerified),
+    }));
+    this.followingComplete = complete;
+  }
+
+  /**
+   * @returns {object} graph - `{ following, interactions }` where
+   *   interactions are sorted by total count, most frequent first.
+   */
+  toJSON() {
+    const followed = new Set(
+      this.following.map((profile) => profile.username?.toLowerCase())
+    );
+
+    const interactions = [...this.accounts.values()]
+      .map((account) => ({
+        ...account,
+        total:
+          account.replies +
+          account.mentions +
+          account.quotes +
+          account.retweets +
+          account.mentionedBy,
+        followed: followed.has(account.username.toLowerCase()),
+      }))
+      .sort((a, b) => b.total - a.total);
+
+    return {
+      generatedAt: new Date().toISOString(),
+      username: this.username,
+      following: {
+        count: this.following.length,
+        complete: this.followingComplete,
+        accounts: this.following,
+      },
+      interactions,
+    };
+  }
+}
+
+export default InteractionGraph;
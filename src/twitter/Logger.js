@@ -1,8 +1,13 @@
+import fs from 'fs';
+import { stripVTControlCharacters } from 'util';
 import chalk from 'chalk';
 import ora from 'ora';
 import Table from 'cli-table3';
 import { format } from 'date-fns';
 
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const FORMATS = ['text', 'json'];
+
 class Logger {
   static spinner = null;
   static progressBar = null;
@@ -17,44 +22,168 @@ class Logger {
     startTime: Date.now(),
     tweetsPerMinute: 0,
     currentDelay: 0,
-    lastResetTime: null
+    lastResetTime: null,
+    progress: null,
+    timeRemaining: null
   };
   
-  // Determine if debug logs should be shown based on an environment variable
-  static isDebugEnabled = process.env.DEBUG === 'true';
+  // Lowest level shown; DEBUG=true is kept as a shorthand for LOG_LEVEL=debug
+  static level =
+    LEVELS[process.env.LOG_LEVEL?.toLowerCase()] ??
+    (process.env.DEBUG === 'true' ? LEVELS.debug : LEVELS.info);
+  // `text` for people, `json` for one JSON object per line
+  static format = process.env.LOG_FORMAT?.toLowerCase() === 'json' ? 'json' : 'text';
+  // Whether pipelines write a per-run log to meta/run_log.jsonl
+  static runLogs = process.env.LOG_FILE === 'true';
+  // Open log files, by path, each receiving every line as JSON
+  static files = new Map();
+  static spinnerText = null;
+
+  /**
+   * Applies logging settings from the command line over the environment.
+   * @param {object} options - `level` (debug, info, warn, error, silent),
+   *   `format` (text or json) and `runLogs`.
+   * @returns {string[]} errors - Settings that were not understood.
+   */
+  static configure({ level, format: logFormat, runLogs } = {}) {
+    const errors = [];
+    if (level !== undefined) {
+      if (LEVELS[String(level).toLowerCase()] === undefined) {
+        errors.push(`log level: expected one of ${Object.keys(LEVELS).join(', ')}, got "${level}"`);
+      } else {
+        this.level = LEVELS[String(level).toLowerCase()];
+      }
+    }
+    if (logFormat !== undefined) {
+      if (!FORMATS.includes(String(logFormat).toLowerCase())) {
+        errors.push(`log format: expected one of ${FORMATS.join(', ')}, got "${logFormat}"`);
+      } else {
+        this.format = String(logFormat).toLowerCase();
+      }
+    }
+    if (runLogs !== undefined) this.runLogs = Boolean(runLogs);
+    return errors;
+  }
+
+  static get isDebugEnabled() {
+    return this.level <= LEVELS.debug;
+  }
+
+  // Spinners only make sense on an interactive terminal with text output
+  static get spinnersEnabled() {
+    return this.format === 'text' && Boolean(process.stdout.isTTY);
+  }
+
+  /**
+   * Sends every following log line to a file as JSON, until removed.
+   * @param {string} filePath - File to append to; its directory must exist.
+   */
+  static addFile(filePath) {
+    if (this.files.has(filePath)) return;
+    try {
+      this.files.set(filePath, fs.openSync(filePath, 'a'));
+    } catch (error) {
+      this.warn(`Could not open log file ${filePath}: ${error.message}`);
+    }
+  }
+
+  static removeFile(filePath) {
+    const fd = this.files.get(filePath);
+    if (fd === undefined) return;
+    fs.closeSync(fd);
+    this.files.delete(filePath);
+  }
+
+  static writeFiles(record) {
+    this.files.forEach((fd) => fs.writeSync(fd, `${record}\n`));
+  }
+
+  static toRecord(level, msg, data) {
+    return JSON.stringify({
+      time: new Date().toISOString(),
+      level,
+      msg: stripVTControlCharacters(String(msg)).trim(),
+      ...(data && { data }),
+    });
+  }
+
+  /**
+   * Writes one log line to the console and any log files.
+   * @param {string} level - debug, info, warn or error.
+   * @param {string} msg - Message; chalk colors are dropped from JSON.
+   * @param {function(string): string} style - How text mode prints it.
+   */
+  static write(level, msg, style) {
+    if (LEVELS[level] < this.level) return;
+
+    const record = this.toRecord(level, msg);
+    if (this.format === 'json') {
+      console.log(record);
+    } else {
+      console.log(style(msg));
+    }
+    this.writeFiles(record);
+  }
+
+  /**
+   * Prints decorative output, such as tables and banners, that has no place
+   * in JSON logs.
+   */
+  static print(text) {
+    if (this.format === 'text' && this.level <= LEVELS.info) {
+      console.log(text);
+    }
+  }
 
   static startSpinner(text) {
+    if (!this.spinnersEnabled) {
+      this.spinnerText = text;
+      this.info(text);
+      return;
+    }
     this.spinner = ora(text).start();
+    this.writeFiles(this.toRecord('info', text));
   }
 
   static stopSpinner(success = true) {
     if (this.spinner) {
       success ? this.spinner.succeed() : this.spinner.fail();
       this.spinner = null;
+    } else if (this.spinnerText && !success) {
+      this.warn(`${this.spinnerText}: failed`);
     }
+    this.spinnerText = null;
   }
 
   static info(msg) {
-    console.log(chalk.blue(`ℹ️  ${msg}`));
+    this.write('info', msg, (text) => chalk.blue(`ℹ️  ${text}`));
   }
 
   static success(msg) {
-    console.log(chalk.green(`✅ ${msg}`));
+    this.write('info', msg, (text) => chalk.green(`✅ ${text}`));
   }
 
   static warn(msg) {
-    console.log(chalk.yellow(`⚠️  ${msg}`));
+    this.write('warn', msg, (text) => chalk.yellow(`⚠️  ${text}`));
   }
 
   static error(msg) {
-    console.log(chalk.red(`❌ ${msg}`));
+    this.write('error', msg, (text) => chalk.red(`❌ ${text}`));
+  }
+
+  static debug(msg) {
+    this.write('debug', msg, (text) => chalk.gray(`🔍 ${text}`));
   }
 
   static fail(message) {
     if (this.spinner) {
       this.spinner.fail(chalk.red(message));
+      this.writeFiles(this.toRecord('error', message));
+      this.spinner = null;
+      this.spinnerText = null;
     } else {
-      console.log(chalk.red(message));
+      this.spinnerText = null;
+      this.write('error', message, (text) => chalk.red(text));
     }
   }
 
@@ -65,7 +194,10 @@ class Logger {
     oldestTweetDate = null,
     newestTweetDate = null,
     currentDelay = 0,
-    isReset = false
+    isReset = false,
+    maxTweets = null,
+    windowStart = null,
+    windowEnd = null
   }) {
     const now = Date.now();
     
@@ -90,6 +222,7 @@ class Logger {
     // Calculate efficiency metrics
     const runningTime = (now - this.collectionStats.startTime) / 1000 / 60; // minutes
     this.collectionStats.tweetsPerMinute = (totalCollected / runningTime).toFixed(1);
+    this.estimateRemaining(totalCollected, { maxTweets, windowStart, windowEnd });
 
     // Only update display every second to avoid spam
     if (now - this.lastUpdate > 1000) {
@@ -103,7 +236,48 @@ class Logger {
     }
   }
 
+  /**
+   * Estimates how far collection has got and how long the rest will take,
+   * from whichever finishes first: reaching maxTweets, or paging back
+   * (newest first) to the start of the date window.
+   * @param {number} totalCollected - Tweets collected so far.
+   * @param {object} target - `maxTweets`, and `windowStart`/`windowEnd` in epoch ms.
+   */
+  static estimateRemaining(totalCollected, { maxTweets, windowStart, windowEnd }) {
+    const fractions = [];
+    if (maxTweets) {
+      fractions.push(totalCollected / maxTweets);
+    }
+    if (windowStart && windowEnd > windowStart && this.collectionStats.oldestTweet) {
+      fractions.push((windowEnd - this.collectionStats.oldestTweet) / (windowEnd - windowStart));
+    }
+    if (fractions.length === 0) return;
+
+    const progress = Math.min(1, Math.max(0, ...fractions));
+    const elapsed = Date.now() - this.collectionStats.startTime;
+    this.collectionStats.progress = progress;
+    this.collectionStats.timeRemaining = progress > 0 ? (elapsed * (1 - progress)) / progress : null;
+  }
+
+  static formatDuration(ms) {
+    const seconds = Math.round(ms / 1000);
+    if (seconds < 60) return `${seconds}s`;
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+    return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+  }
+
   static displayCollectionStatus({ totalCollected, newInBatch, batchSize, isReset }) {
+    // The live table redraws the screen, which only works on a terminal
+    if (!this.spinnersEnabled) {
+      const { progress, timeRemaining } = this.collectionStats;
+      this.info(
+        `Collected ${totalCollected.toLocaleString()} tweets (${newInBatch} new in the latest batch of ${batchSize})` +
+          (progress !== null ? `, ${(progress * 100).toFixed(1)}% done` : '') +
+          (timeRemaining !== null ? `, about ${this.formatDuration(timeRemaining)} left` : '')
+      );
+      return;
+    }
+
     console.clear(); // Clear console for clean display
     
     // Display collection header
@@ -136,6 +310,14 @@ class Logger {
       table.push(['Date Range', chalk.cyan(dateRange)]);
     }
 
+    // Add the estimate once there is one
+    if (this.collectionStats.progress !== null) {
+      table.push(['Progress', chalk.cyan(`${(this.collectionStats.progress * 100).toFixed(1)}%`)]);
+    }
+    if (this.collectionStats.timeRemaining !== null) {
+      table.push(['Estimated Time Left', chalk.cyan(this.formatDuration(this.collectionStats.timeRemaining))]);
+    }
+
     // Add latest batch info
     table.push(
       ['Latest Batch', `${chalk.green(newInBatch)} new / ${chalk.blue(batchSize)} total`]
@@ -154,6 +336,18 @@ class Logger {
   }
 
   static stats(title, data) {
+    if (LEVELS.info < this.level) return;
+
+    const record = Object.fromEntries(
+      Object.entries(data).map(([key, value]) => [key, stripVTControlCharacters(String(value))])
+    );
+    const line = this.toRecord('info', title, record);
+    this.writeFiles(line);
+    if (this.format === 'json') {
+      console.log(line);
+      return;
+    }
+
     console.log(`\\n📊 ${chalk.bold(title)}`);
     const table = new Table({
       head: [chalk.white('Parameter'), chalk.white('Value')],
@@ -176,7 +370,9 @@ class Logger {
       startTime: Date.now(),
       tweetsPerMinute: 0,
       currentDelay: 0,
-      lastResetTime: null
+      lastResetTime: null,
+      progress: null,
+      timeRemaining: null
     };
     this.lastUpdate = Date.now();
   }
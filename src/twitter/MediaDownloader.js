@@ -0,0 +1,134 @@
+// MediaDownloader.js
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import axios from 'axios';
+import Logger from './Logger.js';
+
+const EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'video/mp4': '.mp4',
+};
+
+class MediaDownloader {
+  constructor(mediaDir, options = {}) {
+    this.mediaDir = mediaDir;
+    this.maxBytes = options.maxBytes || parseInt(process.env.MEDIA_MAX_BYTES) || 50 * 1024 * 1024;
+    this.maxRetries = options.maxRetries ?? 3;
+    this.retryDelay = options.retryDelay || 2000;
+    this.concurrency = options.concurrency || 4;
+  }
+
+  /**
+   * Lists the downloadable media of each tweet. Videos without a direct
+   * file URL fall back to their preview image.
+   * @param {object[]} tweets - Processed tweets.
+   * @returns {object[]} items - `{ tweetId, type, url }` entries.
+   */
+  listMedia(tweets) {
+    return tweets.flatMap((tweet) => [
+      ...(tweet.photos || []).map((photo) => ({
+        tweetId: tweet.id,
+        type: 'photo',
+        url: typeof photo === 'string' ? photo : photo.url,
+      })),
+      ...(tweet.videos || []).map((video) => ({
+        tweetId: tweet.id,
+        type: video.url ? 'video' : 'preview',
+        url: video.url || video.preview,
+      })),
+    ]).filter((item) => item.url);
+  }
+
+  async fetchWithRetry(url) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await axios.get(url, {
+          responseType: 'arraybuffer',
+          maxContentLength: this.maxBytes,
+          timeout: 60000,
+        });
+      } catch (error) {
+        const status = error.response?.status;
+        // Missing files and oversized media won't get better on retry
+        const permanent =
+          status === 404 || status === 410 || /maxContentLength/.test(error.message);
+        if (permanent || attempt > this.maxRetries) throw error;
+        await new Promise((resolve) => setTimeout(resolve, this.retryDelay * 2 ** (attempt - 1)));
+      }
+    }
+  }
+
+  async downloadItem(item) {
+    const response = await this.fetchWithRetry(item.url);
+    const data = Buffer.from(response.data);
+    const sha256 = crypto.createHash('sha256').update(data).digest('hex');
+    const contentType = String(response.headers['content-type'] || '').split(';')[0];
+    const ext =
+      EXTENSIONS[contentType] || path.extname(new URL(item.url).pathname) || '.bin';
+    const fileName = `${sha256}${ext}`;
+    const filePath = path.join(this.mediaDir, fileName);
+
+    // Identical content is stored once, whichever tweet it came from
+    try {
+      await fs.access(filePath);
+    } catch {
+      await fs.writeFile(filePath, data);
+    }
+
+    return {
+      type: item.type,
+      url: item.url,
+      file: path.join('media', fileName),
+      sha256,
+      bytes: data.length,
+      contentType,
+    };
+  }
+
+  /**
+   * Downloads the media of all tweets and builds the manifest.
+   * @param {object[]} tweets - Processed tweets.
+   * @returns {object} manifest - `{ tweets: { [id]: files[] }, failed: [] }`.
+   */
+  async download(tweets) {
+    await fs.mkdir(this.mediaDir, { recursive: true });
+
+    const queue = this.listMedia(tweets);
+    const manifest = {
+      generatedAt: new Date().toISOString(),
+      maxBytes: this.maxBytes,
+      tweets: {},
+      failed: [],
+    };
+    const total = queue.length;
+
+    const worker = async () => {
+      while (queue.length > 0) {
+        const item = queue.shift();
+        try {
+          const entry = await this.downloadItem(item);
+          (manifest.tweets[item.tweetId] ||= []).push(entry);
+        } catch (error) {
+          manifest.failed.push({
+            tweetId: item.tweetId,
+            type: item.type,
+            url: item.url,
+            error: error.message,
+          });
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: this.concurrency }, worker));
+
+    Logger.info(
+      `🖼️  Downloaded ${total - manifest.failed.length}/${total} media files (${manifest.failed.length} failed)`
+    );
+    return manifest;
+  }
+}
+
+export default MediaDownloader;
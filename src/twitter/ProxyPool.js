@@ -0,0 +1,304 @@
+// ProxyPool.js
+import fs from 'fs/promises';
+import chalk from 'chalk';
+import Table from 'cli-table3';
+import { SocksClient } from 'socks';
+import { Agent, ProxyAgent, buildConnector, fetch as undiciFetch } from 'undici';
+import Logger from './Logger.js';
+
+const SOCKS_VERSIONS = { 'socks:': 5, 'socks5:': 5, 'socks5h:': 5, 'socks4:': 4, 'socks4a:': 4 };
+
+/**
+ * Connector that tunnels undici connections through a SOCKS proxy,
+ * upgrading to TLS for https targets.
+ */
+function socksConnector(proxyUrl) {
+  const tlsConnect = buildConnector({});
+  return async (options, callback) => {
+    try {
+      const { socket } = await SocksClient.createConnection({
+        proxy: {
+          host: proxyUrl.hostname,
+          port: Number(proxyUrl.port) || 1080,
+          type: SOCKS_VERSIONS[proxyUrl.protocol],
+          userId: decodeURIComponent(proxyUrl.username) || undefined,
+          password: decodeURIComponent(proxyUrl.password) || undefined,
+        },
+        command: 'connect',
+        destination: {
+          host: options.hostname,
+          port: Number(options.port) || (options.protocol === 'https:' ? 443 : 80),
+        },
+      });
+      if (options.protocol !== 'https:') {
+        callback(null, socket);
+      } else {
+        tlsConnect({ ...options, httpSocket: socket }, callback);
+      }
+    } catch (error) {
+      callback(error, null);
+    }
+  };
+}
+
+// Hides credentials when a proxy is named in logs and summaries
+function redact(url) {
+  try {
+    const parsed = new URL(url);
+    if (parsed.password) parsed.password = '***';
+    return parsed.toString().replace(/\/$/, '');
+  } catch {
+    return url;
+  }
+}
+
+class ProxyPool {
+  constructor(options = {}) {
+    this.proxiesFile = options.proxiesFile || process.env.PROXIES_FILE || 'proxies.txt';
+    this.checkUrl = process.env.PROXY_CHECK_URL || 'https://x.com/robots.txt';
+    this.checkTimeout = parseInt(process.env.PROXY_CHECK_TIMEOUT) || 10000;
+    this.maxFailures = parseInt(process.env.PROXY_MAX_FAILURES) || 3;
+    this.cooldown = parseInt(process.env.PROXY_COOLDOWN) || 5 * 60 * 1000;
+
+    this.proxies = [];
+    this.next = 0;
+    this.loaded = null;
+  }
+
+  /**
+   * Parses one proxy line. `prefix <url>` proxies get the request URL
+   * appended, encoded; `http(s)://` proxies are tunnelled with CONNECT and
+   * `socks4://`/`socks5://` ones through SOCKS.
+   */
+  static parse(line) {
+    const [first, second] = line.split(/\s+/);
+    if (first.toLowerCase() === 'prefix' && second) {
+      return { url: second, type: 'prefix' };
+    }
+
+    const url = new URL(first);
+    if (SOCKS_VERSIONS[url.protocol]) {
+      return { url: first, type: 'socks', dispatcher: new Agent({ connect: socksConnector(url) }) };
+    }
+    if (url.protocol === 'http:' || url.protocol === 'https:') {
+      return { url: first, type: 'http', dispatcher: new ProxyAgent(first) };
+    }
+    throw new Error(`unsupported protocol ${url.protocol}`);
+  }
+
+  async hasProxiesFile() {
+    try {
+      await fs.access(this.proxiesFile);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Loads and health-checks the proxies. The proxies file lists one proxy
+   * per line; `#` starts a comment. Without a proxies file, PROXY_URL is a
+   * pool of one URL-prefix proxy, which is used as configured without a
+   * check. Proxies that fail the check are evicted.
+   * Safe to call more than once; the pool is loaded a single time.
+   */
+  load() {
+    if (!this.loaded) {
+      this.loaded = this.loadProxies();
+    }
+    return this.loaded;
+  }
+
+  async loadProxies() {
+    let lines = [];
+    const fromProxiesFile = await this.hasProxiesFile();
+    if (fromProxiesFile) {
+      lines = (await fs.readFile(this.proxiesFile, 'utf-8'))
+        .split('\n')
+        .map((line) => line.replace(/#.*/, '').trim())
+        .filter(Boolean);
+    } else if (process.env.PROXY_URL) {
+      lines = [`prefix ${process.env.PROXY_URL}`];
+    }
+
+    for (const line of lines) {
+      try {
+        this.proxies.push({
+          ...ProxyPool.parse(line),
+          requests: 0,
+          successes: 0,
+          failures: 0,
+          rateLimits: 0,
+          consecutiveFailures: 0,
+          cooldownUntil: null,
+          evicted: null,
+        });
+      } catch (error) {
+        Logger.warn(`Skipping proxy "${redact(line)}": ${error.message}`);
+      }
+    }
+    // The PROXY_URL setting predates the checks and is trusted as before
+    if (this.proxies.length === 0 || !fromProxiesFile) return;
+
+    Logger.startSpinner(`Checking ${this.proxies.length} proxies`);
+    await Promise.all(this.proxies.map((proxy) => this.check(proxy)));
+    const alive = this.proxies.filter((proxy) => !proxy.evicted).length;
+    Logger.stopSpinner(alive > 0);
+    Logger.info(`🌐 ${alive} of ${this.proxies.length} proxies passed the health check`);
+
+    if (alive === 0) {
+      throw new Error('No working proxies. Check the proxies file or PROXY_CHECK_URL.');
+    }
+  }
+
+  get enabled() {
+    return this.proxies.length > 0;
+  }
+
+  /**
+   * Requests the check URL through a proxy and evicts it if that fails.
+   */
+  async check(proxy) {
+    try {
+      const response = await this.send(proxy, this.checkUrl, {
+        signal: AbortSignal.timeout(this.checkTimeout),
+      });
+      await response.arrayBuffer();
+      if (response.status >= 500) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+    } catch (error) {
+      this.evict(proxy, `health check failed: ${error.cause?.message || error.message}`);
+    }
+  }
+
+  evict(proxy, reason) {
+    proxy.evicted = reason;
+    Logger.warn(`Evicted proxy ${redact(proxy.url)} (${reason})`);
+  }
+
+  send(proxy, url, init = {}) {
+    if (proxy.type === 'prefix') {
+      return fetch(proxy.url + encodeURIComponent(url), init);
+    }
+    return undiciFetch(url, { ...init, dispatcher: proxy.dispatcher });
+  }
+
+  /**
+   * Picks the next proxy in turn, skipping evicted ones and those resting
+   * after a rate limit unless every live proxy is.
+   */
+  pick(exclude) {
+    const live = this.proxies.filter((proxy) => !proxy.evicted && !exclude.includes(proxy));
+    const rested = live.filter(
+      (proxy) => !proxy.cooldownUntil || proxy.cooldownUntil <= Date.now()
+    );
+    const candidates = rested.length > 0 ? rested : live;
+    if (candidates.length === 0) return null;
+
+    this.next = (this.next + 1) % candidates.length;
+    return candidates[this.next];
+  }
+
+  /**
+   * A fetch that sends each request through the next proxy, or directly
+   * when no proxies are configured. Connection errors are retried on other
+   * proxies, and a proxy that keeps failing is evicted. A 429 puts the
+   * proxy on PROXY_COOLDOWN and is passed on, so the pipeline's own
+   * rate-limit handling still sees it.
+   */
+  async fetch(input, init) {
+    await this.load();
+    if (!this.enabled) return fetch(input, init);
+
+    // A Request carries its own URL and options; its body is read once so
+    // it can be sent again through another proxy
+    let url = String(input);
+    if (typeof input?.url === 'string') {
+      url = input.url;
+      init = {
+        method: input.method,
+        headers: Object.fromEntries(input.headers),
+        body: ['GET', 'HEAD'].includes(input.method) ? undefined : await input.arrayBuffer(),
+        redirect: input.redirect,
+        signal: input.signal,
+        ...init,
+      };
+    }
+
+    const tried = [];
+    for (;;) {
+      const proxy = this.pick(tried);
+      if (!proxy) {
+        throw new Error('fetch failed: no working proxies left');
+      }
+      tried.push(proxy);
+      proxy.requests++;
+
+      try {
+        const response = await this.send(proxy, url, init);
+        proxy.consecutiveFailures = 0;
+        if (response.status === 429) {
+          proxy.rateLimits++;
+          proxy.cooldownUntil = Date.now() + this.cooldown;
+        } else {
+          proxy.successes++;
+        }
+        return response;
+      } catch (error) {
+        if (error.name === 'AbortError') throw error;
+
+        proxy.failures++;
+        proxy.consecutiveFailures++;
+        if (proxy.consecutiveFailures >= this.maxFailures) {
+          this.evict(proxy, `${proxy.consecutiveFailures} failures in a row`);
+        }
+        Logger.debug(`Proxy ${redact(proxy.url)} failed: ${error.cause?.message || error.message}`);
+        if (tried.length >= Math.min(this.maxFailures, this.proxies.length)) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  /**
+   * Per-proxy request counts and success rates since the pool was loaded.
+   */
+  getStats() {
+    return this.proxies.map((proxy) => ({
+      proxy: redact(proxy.url),
+      type: proxy.type,
+      requests: proxy.requests,
+      successes: proxy.successes,
+      failures: proxy.failures,
+      rateLimits: proxy.rateLimits,
+      successRate:
+        proxy.requests > 0 ? Number(((proxy.successes / proxy.requests) * 100).toFixed(1)) : null,
+      evicted: proxy.evicted,
+    }));
+  }
+
+  displayStats() {
+    Logger.print(`\n🌐 ${chalk.bold('Proxy Pool:')}`);
+    const table = new Table({
+      head: ['Proxy', 'Requests', 'Success Rate', 'Rate Limits', 'Status'].map((title) =>
+        chalk.white(title)
+      ),
+      colWidths: [40, 10, 14, 13, 30],
+    });
+
+    this.getStats().forEach((stats) => {
+      table.push([
+        stats.proxy,
+        stats.requests.toLocaleString(),
+        stats.successRate === null ? '-' : `${stats.successRate}%`,
+        stats.rateLimits.toLocaleString(),
+        stats.evicted ? chalk.red(`evicted: ${stats.evicted}`) : chalk.green('active'),
+      ]);
+    });
+
+    Logger.print(table.toString());
+  }
+}
+
+export default ProxyPool;
@@ -59,7 +59,7 @@ class TweetFilter {
         ],
         ['Filtering', chalk.blue('None - collecting everything')]
       );
-      console.log(configTable.toString());
+      Logger.print(configTable.toString());
 
       const { confirm } = await inquirer.prompt([
         {
@@ -226,7 +226,7 @@ class TweetFilter {
       ]);
     }
 
-    console.log(configTable.toString());
+    Logger.print(configTable.toString());
 
     const { confirmed } = await inquirer.prompt([
       {
@@ -263,13 +263,17 @@ class TweetFilter {
     if (!this.options.tweetTypes.includes('replies') && tweet.isReply) {
       return false;
     }
-    if (!this.options.tweetTypes.includes('quotes') && tweet.quotedTweet) {
+    // Raw scraper tweets carry quotedStatus(Id), processed ones quotedTweet
+    const isQuote = Boolean(
+      tweet.quotedTweet || tweet.quotedStatus || tweet.quotedStatusId
+    );
+    if (!this.options.tweetTypes.includes('quotes') && isQuote) {
       return false;
     }
     if (
       !this.options.tweetTypes.includes('original') &&
       !tweet.isReply &&
-      !tweet.quotedTweet &&
+      !isQuote &&
       !tweet.isRetweet
     ) {
       return false;
@@ -292,7 +296,8 @@ class TweetFilter {
 
     if (this.options.filterByEngagement) {
       if (tweet.likes < this.options.minLikes) return false;
-      if (tweet.retweetCount < this.options.minRetweets) return false;
+      // Raw scraper tweets count retweets as `retweets`, processed ones as `retweetCount`
+      if ((tweet.retweetCount ?? tweet.retweets ?? 0) < this.options.minRetweets) return false;
     }
 
     if (this.options.filterByDate) {
@@ -317,6 +322,32 @@ class TweetFilter {
   setOptions(options) {
     this.options = options;
   }
+
+  /**
+   * Builds filter options from a plain settings object, e.g. an entry in a
+   * batch targets file, without prompting.
+   * @param {object} config - Dates and filter settings; omitted ones default to "include everything".
+   * @returns {object} options - Options in the shape produced by the prompts.
+   */
+  static buildOptions(config = {}) {
+    const minLikes = Number(config.minLikes) || 0;
+    const minRetweets = Number(config.minRetweets) || 0;
+    const keywordsToExclude = config.excludeKeywords || [];
+
+    return {
+      mode: 'Config',
+      fromDate: config.startDate,
+      toDate: config.endDate,
+      tweetTypes: config.tweetTypes || ['original', 'replies', 'quotes', 'retweets'],
+      contentTypes: config.contentTypes || ['text', 'images', 'videos', 'links'],
+      filterByEngagement: minLikes > 0 || minRetweets > 0,
+      minLikes,
+      minRetweets,
+      filterByDate: false,
+      excludeKeywords: keywordsToExclude.length > 0,
+      keywordsToExclude,
+    };
+  }
 }
 
 export default TweetFilter;
@@ -0,0 +1,475 @@
+// TweetStore.js
+import fs from 'fs/promises';
+import { createReadStream, createWriteStream } from 'fs';
+import { once } from 'events';
+import path from 'path';
+import readline from 'readline';
+import Logger from './Logger.js';
+
+const DATE_FOLDER = /^\d{4}-\d{2}-\d{2}$/;
+
+// The log is rewritten once it holds this many records per stored tweet
+const COMPACT_RATIO = 3;
+
+/**
+ * Reads a file line by line along with the byte offset of each line.
+ */
+async function* readLines(filePath) {
+  let input;
+  try {
+    await fs.access(filePath);
+    input = createReadStream(filePath);
+  } catch {
+    return;
+  }
+
+  let offset = 0;
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  for await (const line of lines) {
+    const length = Buffer.byteLength(line);
+    yield { line, offset, length };
+    offset += length + 1;
+  }
+}
+
+/**
+ * Reads the tweets of a snapshot folder, from its tweet log or, for
+ * snapshots saved before tweet logs existed, from raw/tweets.json.
+ */
+async function* readSnapshot(snapshotDir) {
+  const logPath = path.join(snapshotDir, 'raw', 'tweets.jsonl');
+  try {
+    await fs.access(logPath);
+    for await (const { line } of readLines(logPath)) {
+      try {
+        yield JSON.parse(line);
+      } catch {
+        // Line cut short by an interrupted run
+      }
+    }
+    return;
+  } catch {
+    // Older snapshot layout
+  }
+
+  try {
+    yield* JSON.parse(await fs.readFile(path.join(snapshotDir, 'raw', 'tweets.json'), 'utf-8'));
+  } catch {
+    // No tweets in this snapshot
+  }
+}
+
+const toTime = (date) => (date instanceof Date ? date : new Date(date)).getTime();
+
+const SORTS = {
+  newest: (a, b) => b.timestamp - a.timestamp,
+  oldest: (a, b) => a.timestamp - b.timestamp,
+  likes: (a, b) => b.likes - a.likes,
+  retweets: (a, b) => b.retweetCount - a.retweetCount,
+  engagement: (a, b) => b.likes + b.retweetCount - (a.likes + a.retweetCount),
+};
+
+/**
+ * Every tweet ever collected for an account, keyed by id, in
+ * `pipeline/.store/<account>/`. Tweets are appended to `tweets.jsonl`;
+ * `index.json` maps each id to the offset of its latest record along with
+ * when it was first and last seen and its latest engagement counts, so
+ * queries only read the tweets they return. The index is rebuilt from the
+ * log if the two ever disagree.
+ */
+class TweetStore {
+  /**
+   * @param {string} pipelineDir - Pipeline root, e.g. `pipeline`.
+   * @param {string} accountName - Account or query folder name.
+   */
+  constructor(pipelineDir, accountName) {
+    this.pipelineDir = pipelineDir;
+    this.accountName = accountName.toLowerCase();
+    this.dir = path.join(pipelineDir, '.store', this.accountName);
+    this.logPath = path.join(this.dir, 'tweets.jsonl');
+    this.indexPath = path.join(this.dir, 'index.json');
+    this.entries = new Map();
+    this.logSize = 0;
+    this.records = 0;
+    // Writes run one at a time so record offsets never interleave
+    this.queue = Promise.resolve();
+    this.ready = this.load();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  async load() {
+    const logSize = await fs.stat(this.logPath).then(
+      (stat) => stat.size,
+      () => 0
+    );
+
+    try {
+      const index = JSON.parse(await fs.readFile(this.indexPath, 'utf-8'));
+      if (index.logSize === logSize) {
+        this.entries = new Map(Object.entries(index.tweets));
+        this.logSize = logSize;
+        this.records = index.records;
+        return;
+      }
+    } catch {
+      // No index yet
+    }
+
+    if (logSize > 0) {
+      await this.rebuildIndex();
+    } else {
+      await this.importSnapshots();
+    }
+  }
+
+  /**
+   * Replays the log into a fresh index. A record cut short by a crash at
+   * the end of the log is dropped so later appends start on a new line.
+   */
+  async rebuildIndex() {
+    Logger.warn(`⚠️  Rebuilding tweet store index for ${this.accountName}`);
+    this.entries = new Map();
+    this.records = 0;
+
+    let end = 0;
+    for await (const { line, offset, length } of readLines(this.logPath)) {
+      try {
+        this.apply(JSON.parse(line), offset, length);
+      } catch {
+        continue;
+      }
+      this.records++;
+      end = offset + length + 1;
+    }
+
+    const { size } = await fs.stat(this.logPath);
+    if (end < size) {
+      Logger.warn(`⚠️  Dropping ${size - end} bytes of incomplete records from ${this.logPath}`);
+      await fs.truncate(this.logPath, end);
+    }
+    this.logSize = end;
+    await this.saveIndex();
+  }
+
+  /**
+   * Fills an empty store from the account's existing snapshots, oldest
+   * first, each counted as seen on its snapshot date.
+   */
+  async importSnapshots() {
+    const accountDir = path.join(this.pipelineDir, this.accountName);
+    let dateFolders;
+    try {
+      dateFolders = (await fs.readdir(accountDir)).filter((name) => DATE_FOLDER.test(name)).sort();
+    } catch {
+      return; // No snapshots for this account
+    }
+
+    for (const dateFolder of dateFolders) {
+      const seenAt = new Date(`${dateFolder}T00:00:00.000Z`).toISOString();
+      let batch = [];
+      for await (const tweet of readSnapshot(path.join(accountDir, dateFolder))) {
+        batch.push(tweet);
+        if (batch.length >= 1000) {
+          await this.write(batch, seenAt);
+          batch = [];
+        }
+      }
+      await this.write(batch, seenAt);
+    }
+
+    if (this.size > 0) {
+      Logger.info(
+        `🗄️  Indexed ${this.size.toLocaleString()} tweets from ${dateFolders.length} snapshots of ${this.accountName}`
+      );
+    }
+  }
+
+  /**
+   * Applies a log record to the index. Full records carry the tweet;
+   * sighting records only widen its first/last seen window.
+   */
+  apply(record, offset, length) {
+    const entry = this.entries.get(record.id);
+    const firstSeen =
+      entry && entry.firstSeen < record.firstSeen ? entry.firstSeen : record.firstSeen;
+    const lastSeen = entry && entry.lastSeen > record.lastSeen ? entry.lastSeen : record.lastSeen;
+
+    if (!record.tweet) {
+      if (entry) Object.assign(entry, { firstSeen, lastSeen });
+      return;
+    }
+
+    const { tweet } = record;
+    this.entries.set(record.id, {
+      offset,
+      length,
+      timestamp: tweet.timestamp,
+      firstSeen,
+      lastSeen,
+      likes: tweet.likes || 0,
+      retweetCount: tweet.retweetCount || 0,
+      replies: tweet.replies || 0,
+      isReply: Boolean(tweet.isReply),
+      isRetweet: Boolean(tweet.isRetweet),
+    });
+  }
+
+  /**
+   * Records a batch of collected tweets. A tweet seen before is only
+   * rewritten when this copy is the newest and its engagement changed.
+   * @param {object[]} tweets - Processed tweets.
+   * @param {string} seenAt - ISO time the tweets were collected.
+   * @returns {{ added: number, updated: number }}
+   */
+  upsert(tweets, seenAt = new Date().toISOString()) {
+    const run = this.queue.then(async () => {
+      await this.ready;
+      return this.write(tweets, seenAt);
+    });
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async write(tweets, seenAt) {
+    let added = 0;
+    let updated = 0;
+    let lines = '';
+    let offset = this.logSize;
+
+    for (const tweet of tweets) {
+      if (!tweet?.id) continue;
+      const entry = this.entries.get(tweet.id);
+      const isLatest = !entry || seenAt >= entry.lastSeen;
+      const changed =
+        !entry ||
+        (isLatest &&
+          (entry.likes !== (tweet.likes || 0) ||
+            entry.retweetCount !== (tweet.retweetCount || 0) ||
+            entry.replies !== (tweet.replies || 0)));
+
+      const record = { id: tweet.id, firstSeen: seenAt, lastSeen: seenAt };
+      if (changed) {
+        record.tweet = tweet;
+      } else if (seenAt >= entry.firstSeen && seenAt <= entry.lastSeen) {
+        continue; // Nothing new about this tweet
+      }
+
+      const line = JSON.stringify(record);
+      const length = Buffer.byteLength(line);
+      this.apply(record, offset, length);
+      lines += `${line}\n`;
+      offset += length + 1;
+      this.records++;
+
+      if (!entry) added++;
+      else if (changed) updated++;
+    }
+
+    if (lines) {
+      await fs.mkdir(this.dir, { recursive: true });
+      await fs.appendFile(this.logPath, lines, 'utf-8');
+      this.logSize = offset;
+      if (this.records > this.size * COMPACT_RATIO) {
+        await this.compact();
+      } else {
+        await this.saveIndex();
+      }
+    }
+    return { added, updated };
+  }
+
+  async saveIndex() {
+    const index = {
+      version: 1,
+      logSize: this.logSize,
+      records: this.records,
+      tweets: Object.fromEntries(this.entries),
+    };
+    await fs.writeFile(`${this.indexPath}.tmp`, JSON.stringify(index), 'utf-8');
+    await fs.rename(`${this.indexPath}.tmp`, this.indexPath);
+  }
+
+  /**
+   * Rewrites the log with one record per tweet, newest tweet first.
+   */
+  async compact() {
+    const tmpPath = `${this.logPath}.tmp`;
+    const output = createWriteStream(tmpPath, 'utf-8');
+    const handle = await fs.open(this.logPath, 'r');
+    const entries = [...this.entries.entries()].sort(([, a], [, b]) => SORTS.newest(a, b));
+
+    let offset = 0;
+    try {
+      for (const [id, entry] of entries) {
+        const { tweet } = await this.readRecord(handle, entry);
+        const line = JSON.stringify({ id, firstSeen: entry.firstSeen, lastSeen: entry.lastSeen, tweet });
+        const length = Buffer.byteLength(line);
+        if (!output.write(`${line}\n`)) await once(output, 'drain');
+        Object.assign(entry, { offset, length });
+        offset += length + 1;
+      }
+    } finally {
+      await handle.close();
+      output.end();
+      await once(output, 'finish');
+    }
+
+    await fs.rename(tmpPath, this.logPath);
+    this.logSize = offset;
+    this.records = this.size;
+    await this.saveIndex();
+    Logger.debug(`Compacted tweet store for ${this.accountName} to ${this.size} records`);
+  }
+
+  async readRecord(handle, entry) {
+    const buffer = Buffer.alloc(entry.length);
+    await handle.read(buffer, 0, entry.length, entry.offset);
+    return JSON.parse(buffer.toString('utf-8'));
+  }
+
+  /**
+   * Picks index entries matching a query, in order, without reading tweets.
+   * @param {object} options - `since`/`until` (dates, inclusive/exclusive),
+   *   `excludeRetweets`, `excludeReplies`, `minLikes`, `ids` (a Set),
+   *   `sortBy` (newest, oldest, likes, retweets, engagement) and `limit`.
+   * @returns {Array<[string, object]>} `[id, entry]` pairs.
+   */
+  select(options = {}) {
+    const since = options.since ? toTime(options.since) : null;
+    const until = options.until ? toTime(options.until) : null;
+    const sort = SORTS[options.sortBy || 'newest'];
+    if (!sort) {
+      throw new Error(`Unknown sort "${options.sortBy}" (use ${Object.keys(SORTS).join(', ')})`);
+    }
+
+    const selected = [...this.entries.entries()].filter(
+      ([id, entry]) =>
+        (!options.ids || options.ids.has(id)) &&
+        (since === null || entry.timestamp >= since) &&
+        (until === null || entry.timestamp < until) &&
+        !(options.excludeRetweets && entry.isRetweet) &&
+        !(options.excludeReplies && entry.isReply) &&
+        entry.likes >= (options.minLikes || 0)
+    );
+    selected.sort(([, a], [, b]) => sort(a, b));
+    return options.limit ? selected.slice(0, options.limit) : selected;
+  }
+
+  /**
+   * Streams the stored tweets matching a query; see select for options.
+   * @returns {AsyncGenerator<object>} tweets, with their latest engagement.
+   */
+  async *stream(options = {}) {
+    await this.ready;
+    // Copied so a compaction during the stream can't move them; the open
+    // handle keeps reading the log as it was
+    const locations = this.select(options).map(([, { offset, length }]) => ({ offset, length }));
+    if (locations.length === 0) return;
+
+    const handle = await fs.open(this.logPath, 'r');
+    try {
+      for (const location of locations) {
+        yield (await this.readRecord(handle, location)).tweet;
+      }
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * @returns {object[]} tweets - Stored tweets matching a query; see select.
+   */
+  async query(options = {}) {
+    const tweets = [];
+    for await (const tweet of this.stream(options)) tweets.push(tweet);
+    return tweets;
+  }
+
+  /**
+   * Writes stored tweets matching a query to a JSONL file.
+   * @param {string} outputPath - File to write.
+   * @param {Function} toEntry - Maps a tweet to the line to write, or null
+   *   to leave it out.
+   * @param {object} options - Query options; see select.
+   * @returns {number} written - How many lines were written.
+   */
+  async exportJsonl(outputPath, toEntry = (tweet) => tweet, options = {}) {
+    await fs.mkdir(path.dirname(outputPath), { recursive: true });
+    await fs.writeFile(outputPath, '', 'utf-8');
+
+    let lines = [];
+    let written = 0;
+    const flush = async () => {
+      if (lines.length === 0) return;
+      await fs.appendFile(outputPath, `${lines.join('\n')}\n`, 'utf-8');
+      written += lines.length;
+      lines = [];
+    };
+
+    for await (const tweet of this.stream(options)) {
+      const entry = toEntry(tweet);
+      if (!entry) continue;
+      lines.push(JSON.stringify(entry));
+      if (lines.length >= 500) await flush();
+    }
+    await flush();
+    return written;
+  }
+
+  /**
+   * @returns {object|null} tweet - The stored tweet with this id.
+   */
+  async get(id) {
+    const [tweet] = await this.query({ ids: new Set([String(id)]) });
+    return tweet || null;
+  }
+
+  /**
+   * @returns {object|null} info - When a tweet was first and last seen and
+   *   its latest engagement, without reading the tweet itself.
+   */
+  async getInfo(id) {
+    await this.ready;
+    const entry = this.entries.get(String(id));
+    if (!entry) return null;
+    const { offset, length, ...info } = entry;
+    return info;
+  }
+
+  /**
+   * @returns {Set<string>} ids - Every stored tweet id.
+   */
+  async ids() {
+    await this.ready;
+    return new Set(this.entries.keys());
+  }
+
+  /**
+   * @returns {number|null} timestamp - Of the newest stored tweet.
+   */
+  async newestTimestamp() {
+    await this.ready;
+    let newest = null;
+    for (const entry of this.entries.values()) {
+      if (newest === null || entry.timestamp > newest) newest = entry.timestamp;
+    }
+    return newest;
+  }
+
+  /**
+   * @returns {number|null} timestamp - Of the oldest stored tweet.
+   */
+  async oldestTimestamp() {
+    await this.ready;
+    let oldest = null;
+    for (const entry of this.entries.values()) {
+      if (oldest === null || entry.timestamp < oldest) oldest = entry.timestamp;
+    }
+    return oldest;
+  }
+}
+
+export default TweetStore;
@@ -3,15 +3,21 @@ import chalk from "chalk";
 import { format } from "date-fns";
 import path from "path";
 import fs from "fs/promises";
-import { program } from 'commander';
 
 // Imported Files
 import Logger from "./Logger.js";
 import DataOrganizer from "./DataOrganizer.js";
 import TweetFilter from "./TweetFilter.js";
+import AccountPool from "./AccountPool.js";
+import ConversationBuilder from "./ConversationBuilder.js";
+import MediaDownloader from "./MediaDownloader.js";
+import InteractionGraph from "./InteractionGraph.js";
+import ErrorJournal from "./ErrorJournal.js";
+import DateWindows from "./DateWindows.js";
+import { createBackend } from "./backends/index.js";
 
 // @the-convocation/twitter-scraper
-import { Scraper, SearchMode } from "@the-convocation/twitter-scraper";
+import { SearchMode } from "@the-convocation/twitter-scraper";
 
 // Puppeteer
 import puppeteer from "puppeteer-extra";
@@ -23,35 +29,89 @@ import { Cluster } from "puppeteer-cluster";
 puppeteer.use(StealthPlugin());
 puppeteer.use(AdblockerPlugin({ blockTrackers: true }));
 
-// Setup command line options to work with both formats:
-// npm run twitter -- username --start-date 2024-01-01
-// node src/twitter/index.js username --start-date 2024-01-01
-program
-  .allowExcessArguments(true)
-  .argument('[username]', 'Twitter username to collect')
-  .option('-s, --start-date <date>', 'Start date (YYYY-MM-DD)')
-  .option('-e, --end-date <date>', 'End date (YYYY-MM-DD)')
-  .parse(process.argv);
+// yyyy-MM-dd for since:/until:, as a UTC day like the date windows'. Day
+// strings pass through unchanged so no time zone can shift them.
+function searchDate(date) {
+  if (typeof date === "string" && /^\d{4}-\d{2}-\d{2}$/.test(date)) return date;
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+// Runs inside the fallback browser page: parses the tweets currently
+// rendered on a profile timeline into the scraper library's tweet shape.
+function extractTimelineTweets() {
+  const count = (article, testId) => {
+    const label =
+      article.querySelector(`[data-testid="${testId}"]`)?.getAttribute("aria-label") || "";
+    return parseInt(label.replace(/,/g, "").match(/\d+/)?.[0] || "0", 10);
+  };
+
+  return [...document.querySelectorAll('article[data-testid="tweet"]')]
+    .map((article) => {
+      const time = article.querySelector("time");
+      const match = time
+        ?.closest("a")
+        ?.getAttribute("href")
+        ?.match(/^\/([^/]+)\/status\/(\d+)/);
+      if (!match) return null;
+
+      const textNode = article.querySelector('[data-testid="tweetText"]');
+      const anchors = textNode ? [...textNode.querySelectorAll("a")] : [];
+      const socialContext =
+        article.querySelector('[data-testid="socialContext"]')?.innerText || "";
 
-const options = program.opts();
-const username = program.args[0];
+      return {
+        id: match[2],
+        username: match[1],
+        text: textNode?.innerText || "",
+        timestamp: new Date(time.getAttribute("datetime")).getTime(),
+        isRetweet: /reposted|retweeted/i.test(socialContext),
+        isPin: /pinned/i.test(socialContext),
+        isReply: /Replying to/i.test(article.innerText),
+        likes: count(article, "like") || count(article, "unlike"),
+        retweets: count(article, "retweet") || count(article, "unretweet"),
+        replies: count(article, "reply"),
+        photos: [...article.querySelectorAll('[data-testid="tweetPhoto"] img')].map(
+          (img) => ({ id: img.src, url: img.src, alt_text: img.alt || undefined })
+        ),
+        videos: [...article.querySelectorAll("video")].map((video) => ({
+          id: video.poster,
+          preview: video.poster,
+          url: video.src || undefined,
+        })),
+        urls: anchors
+          .map((anchor) => anchor.href)
+          .filter((href) => !/^https?:\/\/(x|twitter)\.com\//.test(href)),
+        hashtags: anchors
+          .map((anchor) => anchor.innerText)
+          .filter((text) => text.startsWith("#"))
+          .map((text) => text.slice(1)),
+        permanentUrl: `https://x.com/${match[1]}/status/${match[2]}`,
+      };
+    })
+    .filter(Boolean);
+}
 
 class TwitterPipeline {
-  constructor(username, startDate, endDate) {
-    this.username = username;
+  constructor(username, startDate, endDate, options = {}) {
+    // In query mode the slug stands in for the username as the dataset name
+    this.query = options.query || null;
+    this.username = this.query ? TwitterPipeline.querySlug(this.query) : username;
     this.startDate = startDate;
     this.endDate = endDate;
-    this.dataOrganizer = new DataOrganizer("pipeline", username);
+    this.resume = Boolean(options.resume);
+    this.incremental = Boolean(options.incremental);
+    // Parent tweets to fetch per reply; 0 skips conversation enrichment
+    this.conversationDepth = parseInt(options.conversationDepth) || 0;
+    this.downloadMedia = Boolean(options.media);
+    this.includeMentions = Boolean(options.mentions);
+    this.collectFollowGraph = Boolean(options.graph);
+    // Quiet runs skip the per-batch progress display
+    this.quiet = Boolean(options.quiet);
+    this.configFile = options.configFile || null;
+    this.dataOrganizer = new DataOrganizer("pipeline", this.username);
     this.paths = this.dataOrganizer.getPaths();
     this.tweetFilter = new TweetFilter();
 
-    // Update cookie path to be in top-level cookies directory
-    this.paths.cookies = path.join(
-      process.cwd(),
-      'cookies',
-      `${process.env.TWITTER_USERNAME}_cookies.json`
-    );
-
     // Enhanced configuration with fallback handling
     this.config = {
       twitter: {
@@ -61,9 +121,18 @@ class TwitterPipeline {
         minDelayBetweenRequests: parseInt(process.env.MIN_DELAY) || 1000,
         maxDelayBetweenRequests: parseInt(process.env.MAX_DELAY) || 3000,
         rateLimitThreshold: 3, // Number of rate limits before considering fallback
+        maxBackoff: parseInt(process.env.MAX_BACKOFF) || 15 * 60 * 1000,
+        batchSize: 50, // Tweets per search page (API maximum)
+        checkpointInterval: parseInt(process.env.CHECKPOINT_INTERVAL) || 500,
+        maxMentions: parseInt(process.env.MAX_MENTIONS) || 10000,
+        maxFollowing: parseInt(process.env.MAX_FOLLOWING) || 2000,
+        // Search month by month, narrowing busy months to weeks
+        dateWindows: process.env.DATE_WINDOWS !== "false",
+        windowDenseTweets: parseInt(process.env.WINDOW_DENSE_TWEETS) || 500,
+        windowGapRatio: parseFloat(process.env.WINDOW_GAP_RATIO) || 0.2,
       },
       fallback: {
-        enabled: true,
+        enabled: process.env.FALLBACK_ENABLED !== "false",
         sessionDuration: 30 * 60 * 1000, // 30 minutes
         viewport: {
           width: 1366,
@@ -75,39 +144,76 @@ class TwitterPipeline {
       },
     };
 
-    const scraperOptions = {};
-    if (process.env.PROXY_URL) {
-        scraperOptions.transform = {
-            request: (input, init) => {
-                const proxy = process.env.PROXY_URL;
-                if (typeof input === 'string') {
-                    return [proxy + encodeURIComponent(input), init];
-                }
-                if (input instanceof URL) {
-                    return [proxy + encodeURIComponent(input.toString()), init];
-                }
-                return [input, init];
-            }
-        }
-    }
+    // A scraper passed in is shared with other pipelines (batch runs) and
+    // is already authenticated, so this pipeline must not log it out.
+    this.ownsScraper = !options.scraper;
+    this.scraper = options.scraper || TwitterPipeline.createScraper(options);
+    this.accountPool = options.accountPool || new AccountPool();
+    this.presetFilterOptions = options.filterOptions || null;
 
-    this.scraper = new Scraper(scraperOptions);
+    // Delay between requests; grows after rate limits and decays on success
+    this.currentDelay = this.config.twitter.minDelayBetweenRequests;
     this.cluster = null;
+    this.profile = null;
+
+    // Resume state: search cursor, query and filters of an unfinished run,
+    // and the ids of the tweets it already wrote to the tweet log
+    this.checkpoint = null;
+    this.resumedIds = new Set();
+    // Date windows of the collection, once planned
+    this.windows = null;
+
+    // What the run is doing, recorded with any error in meta/error_log.json
+    this.stage = "setup";
+
+    // Set by interrupt(); `partial` once collection stopped short of the end
+    this.interrupted = false;
+    this.partial = false;
+    this.wake = null;
 
     // Enhanced statistics tracking
     this.stats = {
       requestCount: 0,
+      failedRequests: 0,
       rateLimitHits: 0,
       retriesCount: 0,
+      accountRotations: 0,
       uniqueTweets: 0,
       fallbackCount: 0,
       startTime: Date.now(),
       oldestTweetDate: null,
       newestTweetDate: null,
       fallbackUsed: false,
+      newTweets: null,
+      mentions: null,
     };
   }
 
+  /**
+   * Folder name for a search query dataset. The `search-` prefix can't
+   * collide with a username, since usernames never contain hyphens.
+   * @param {string} query - Advanced-search query.
+   * @returns {string} slug - e.g. `search-bitcoin-min-faves-100`.
+   */
+  static querySlug(query) {
+    const slug = query
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 60)
+      .replace(/-+$/, '');
+    return `search-${slug || 'query'}`;
+  }
+
+  /**
+   * @param {object} options - `backend` name and backend options such as
+   *   `fixturesPath`; defaults to the live scraper.
+   * @returns {ScraperBackend} scraper
+   */
+  static createScraper(options = {}) {
+    return createBackend(options.backend, options);
+  }
+
   async initializeFallback() {
     if (!this.cluster) {
       this.cluster = await Cluster.launch({
@@ -140,9 +246,108 @@ class TwitterPipeline {
     });
   }
 
+  shouldUseFallback() {
+    return (
+      this.config.fallback.enabled &&
+      this.scraper.supportsBrowserFallback &&
+      !this.stats.fallbackUsed &&
+      this.stats.rateLimitHits >= this.config.twitter.rateLimitThreshold
+    );
+  }
+
+  async collectWithFallback(fromDate, toDate, seenIds, limit) {
+    this.stats.fallbackUsed = true;
+    const fromTime = fromDate ? new Date(fromDate).getTime() : 0;
+    const toTime = toDate ? new Date(toDate).getTime() : Infinity;
+    const { minDelayBetweenRequests, maxDelayBetweenRequests } = this.config.twitter;
+
+    // Reuse the API session's login in the browser
+    const cookies = (await this.scraper.getCookies())
+      .filter((cookie) => ["auth_token", "ct0"].includes(cookie.key))
+      .map((cookie) => ({
+        name: cookie.key,
+        value: cookie.value,
+        domain: ".x.com",
+        path: "/",
+        secure: true,
+      }));
+
+    // Query datasets scroll the live search results instead of a profile
+    const timelineUrl = this.query
+      ? `https://x.com/search?q=${encodeURIComponent(this.query)}&f=live`
+      : `https://x.com/${this.username}`;
+
+    Logger.startSpinner(`Collecting tweets for ${this.username} with browser fallback`);
+    try {
+      await this.initializeFallback();
+
+      const rawTweets = await this.cluster.execute(async ({ page }) => {
+        await this.setupFallbackPage(page);
+        if (cookies.length > 0) await page.setCookie(...cookies);
+        await page.goto(timelineUrl, { waitUntil: "networkidle2" });
+        await page.waitForSelector('article[data-testid="tweet"]', { timeout: 30000 });
+
+        const found = new Map();
+        const sessionEnd = Date.now() + this.config.fallback.sessionDuration;
+        let idleScrolls = 0;
+
+        while (found.size < limit && idleScrolls < 5 && Date.now() < sessionEnd) {
+          const visible = await page.evaluate(extractTimelineTweets);
+          const sizeBefore = found.size;
+          visible.forEach((tweet) => found.set(tweet.id, tweet));
+
+          // Timeline is newest first; pins and retweets carry older dates
+          const reachedStart = visible.some(
+            (tweet) => !tweet.isPin && !tweet.isRetweet && tweet.timestamp < fromTime
+          );
+          if (reachedStart) break;
+
+          idleScrolls = found.size === sizeBefore ? idleScrolls + 1 : 0;
+          await page.evaluate(() => window.scrollBy(0, window.innerHeight * 2));
+          await this.randomDelay(minDelayBetweenRequests, maxDelayBetweenRequests);
+        }
+
+        return [...found.values()];
+      });
+
+      const fallbackTweets = [];
+      for (const tweet of rawTweets) {
+        if (fallbackTweets.length >= limit) break;
+        if (seenIds.has(tweet.id)) continue;
+        if (tweet.timestamp < fromTime || tweet.timestamp >= toTime) continue;
+        if (!this.tweetFilter.shouldIncludeTweet(tweet)) continue;
+
+        const processedTweet = this.processTweetData(tweet);
+        if (processedTweet) {
+          seenIds.add(processedTweet.id);
+          fallbackTweets.push(processedTweet);
+          this.stats.uniqueTweets++;
+        }
+      }
+
+      this.stats.fallbackCount += fallbackTweets.length;
+      Logger.stopSpinner();
+      Logger.info(`🌐 Browser fallback collected ${fallbackTweets.length} tweets`);
+      return fallbackTweets;
+    } catch (error) {
+      Logger.stopSpinner(false);
+      Logger.warn(`Browser fallback failed: ${error.message}`);
+      return [];
+    } finally {
+      if (this.cluster) {
+        await this.cluster.idle();
+        await this.cluster.close();
+        this.cluster = null;
+      }
+    }
+  }
+
   async validateEnvironment() {
     Logger.startSpinner("Validating environment");
-    const required = ["TWITTER_USERNAME", "TWITTER_PASSWORD"];
+    // An account pool file replaces the single-account variables
+    const required = (await this.accountPool.hasPoolFile())
+      ? []
+      : ["TWITTER_USERNAME", "TWITTER_PASSWORD"];
     const missing = required.filter((var_) => !process.env[var_]);
 
     if (missing.length > 0) {
@@ -152,65 +357,47 @@ class TwitterPipeline {
       console.log("\n📝 Create a .env file with your Twitter credentials:");
       console.log(`TWITTER_USERNAME=your_username`);
       console.log(`TWITTER_PASSWORD=your_password`);
-      process.exit(1);
+      // Journal it like any other failure, so the exit code has an entry
+      const error = new Error(`Missing required environment variables: ${missing.join(", ")}`);
+      error.kind = "auth";
+      await this.logError(error);
+      process.exit(ErrorJournal.exitCode("auth"));
     }
     Logger.stopSpinner();
   }
 
   async loadCookies() {
-    try {
-      // Corrected path using this.paths.cookies
-      const cookiesPath = this.paths.cookies;
-      await fs.access(cookiesPath);
-      const cookiesData = await fs.readFile(cookiesPath, 'utf-8');
-      const cookies = JSON.parse(cookiesData);
-      await this.scraper.setCookies(cookies);
-      return true;
-    } catch (error) {
-      Logger.warn(`Could not load cookies: ${error.message}`);
-      return false;
-    }
+    const account = this.accountPool.current;
+    return account ? this.accountPool.loadCookies(this.scraper, account) : false;
   }
 
   async saveCookies() {
+    await this.accountPool.saveCookies(this.scraper);
+  }
+
+  async initializeScraper() {
+    // Health-check the proxies before any request goes through them
     try {
-      const cookies = await this.scraper.getCookies();
-      const cookiesPath = this.paths.cookies;
-      // Ensure the directory exists
-      await fs.mkdir(path.dirname(cookiesPath), { recursive: true });
-      await fs.writeFile(cookiesPath, JSON.stringify(cookies, null, 2));
-      Logger.success('Authentication cookies saved successfully.');
+      await this.scraper.proxyPool?.load();
     } catch (error) {
-      Logger.warn(`Failed to save cookies: ${error.message}`);
+      Logger.error(error.message);
+      return false;
     }
-  }
 
-  async initializeScraper() {
     Logger.startSpinner("Initializing Twitter scraper");
 
-    const authToken = process.env.TWITTER_AUTH_TOKEN;
-    const ct0 = process.env.TWITTER_CT0;
-
-    if (authToken && ct0) {
-      try {
-        const cookies = [
-          `auth_token=${authToken}`,
-          `ct0=${ct0}`
-        ];
-        await this.scraper.setCookies(cookies);
-        if (await this.scraper.isLoggedIn()) {
-          Logger.success("✅ Successfully authenticated with provided cookies");
-          Logger.stopSpinner();
-          return true;
-        } else {
-          Logger.warn("⚠️  The provided cookies are invalid. Please update them.");
-        }
-      } catch (error) {
-        Logger.warn(`⚠️  Cookie authentication failed: ${error.message}.`);
+    try {
+      const account = await this.accountPool.activate(this.scraper);
+      if (account) {
+        Logger.success(`✅ Successfully authenticated as @${account.username}`);
+        Logger.stopSpinner();
+        return true;
       }
+    } catch (error) {
+      Logger.warn(`⚠️  Cookie authentication failed: ${error.message}.`);
     }
-    
-    Logger.error("Authentication failed. Please provide valid TWITTER_AUTH_TOKEN and TWITTER_CT0 in your .env file.");
+
+    Logger.error("Authentication failed. Please provide valid TWITTER_AUTH_TOKEN and TWITTER_CT0 in your .env file, or healthy accounts in your account pool file.");
     Logger.stopSpinner(false);
     return false;
   }
@@ -224,40 +411,204 @@ class TwitterPipeline {
     };
 
     const delay = Math.floor(min + gaussianRand() * (max - min));
-    Logger.info(`Waiting ${(delay / 1000).toFixed(1)} seconds...`);
-    await new Promise(resolve => setTimeout(resolve, delay));
+    Logger.debug(`Waiting ${(delay / 1000).toFixed(1)} seconds...`);
+    await this.sleep(delay);
   }
 
-  processTweetData(tweet) {
-    try {
-      if (!tweet || !tweet.id) return null;
+  /**
+   * Waits for the given time, or until interrupt() is called.
+   * @param {number} ms
+   */
+  sleep(ms) {
+    if (this.interrupted) return Promise.resolve();
+    return new Promise((resolve) => {
+      const timer = setTimeout(resolve, ms);
+      this.wake = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+    });
+  }
+
+  /**
+   * Stops collection after the search page in flight. The tweets collected
+   * so far are still saved and summarized, and the run is left resumable
+   * from where it stopped. Later stages (mentions, graph, conversations,
+   * media) are skipped.
+   */
+  interrupt() {
+    this.interrupted = true;
+    this.wake?.();
+  }
+
+  classifyError(error) {
+    return ErrorJournal.classify(error);
+  }
+
+  getBackoffDelay(error, kind, attempt) {
+    const { retryDelay, maxBackoff } = this.config.twitter;
+
+    // Prefer the server's reset time for rate limits when it sends one
+    const reset = Number(error.response?.headers?.get?.("x-rate-limit-reset"));
+    if (kind === "rateLimit" && reset) {
+      return Math.min(Math.max(reset * 1000 - Date.now(), retryDelay), maxBackoff);
+    }
+
+    const jitter = Math.random() * retryDelay;
+    return Math.min(retryDelay * 2 ** (attempt - 1) + jitter, maxBackoff);
+  }
+
+  async withRetry(operation, description) {
+    const { maxRetries, minDelayBetweenRequests, maxDelayBetweenRequests } =
+      this.config.twitter;
+
+    let attempt = 0;
+    let rotations = 0;
+
+    for (;;) {
+      this.stats.requestCount++;
+      try {
+        const result = await operation();
+        this.currentDelay = Math.max(
+          minDelayBetweenRequests,
+          Math.floor(this.currentDelay * 0.9)
+        );
+        return result;
+      } catch (error) {
+        this.stats.failedRequests++;
+        const kind = this.classifyError(error);
+        error.kind = kind;
+
+        if (kind === "rateLimit") {
+          this.stats.rateLimitHits++;
+          Logger.recordRateLimit();
+          this.currentDelay = Math.min(
+            this.currentDelay * 2,
+            maxDelayBetweenRequests * 10
+          );
+        }
+
+        const reset = Number(error.response?.headers?.get?.("x-rate-limit-reset"));
+        const resetAt = reset ? reset * 1000 : null;
+
+        // Move to another pooled account before waiting or giving up
+        if (
+          (kind === "rateLimit" || kind === "auth") &&
+          rotations < this.accountPool.accounts.length - 1
+        ) {
+          if (await this.accountPool.rotate(this.scraper, kind, resetAt)) {
+            rotations++;
+            this.stats.accountRotations++;
+            continue;
+          }
+        }
+
+        attempt++;
+        if ((kind !== "rateLimit" && kind !== "network") || attempt > maxRetries) {
+          // Even a single account records the cooldown it gave up on, so a
+          // watch holds off until it is over
+          if (kind === "rateLimit") await this.accountPool.markRateLimited(resetAt);
+          throw error;
+        }
+
+        // Let the collector switch to the browser instead of waiting it out
+        if (kind === "rateLimit" && this.shouldUseFallback()) {
+          throw error;
+        }
 
-      let timestamp = tweet.timestamp;
-      if (!timestamp) {
-        timestamp = tweet.timeParsed?.getTime();
+        const delay = this.getBackoffDelay(error, kind, attempt);
+        this.stats.retriesCount++;
+        Logger.warn(
+          `${kind === "rateLimit" ? "Rate limited" : "Request failed"} while ${description}. ` +
+            `Retry ${attempt}/${maxRetries} in ${(delay / 1000).toFixed(1)}s`
+        );
+        await this.sleep(delay);
+        // Don't retry once the run is being stopped
+        if (this.interrupted) throw error;
       }
+    }
+  }
 
-      if (!timestamp) return null;
+  processQuotedTweet(quoted) {
+    if (!quoted?.id) return null;
+
+    let timestamp = quoted.timestamp || quoted.timeParsed?.getTime() || null;
+    if (timestamp && timestamp < 1e12) timestamp *= 1000;
+
+    return {
+      id: quoted.id,
+      text: quoted.text,
+      username: quoted.username,
+      name: quoted.name,
+      timestamp,
+      createdAt: timestamp ? new Date(timestamp).toISOString() : null,
+      photos: quoted.photos || [],
+      videos: quoted.videos || [],
+      urls: quoted.urls || [],
+      permanentUrl: quoted.permanentUrl,
+    };
+  }
+
+  async resolveQuotedTweets(tweets) {
+    // Search results usually embed the quoted tweet; look up the rest
+    const unresolved = tweets.filter(
+      (tweet) => tweet.quotedStatusId && !tweet.quotedTweet
+    );
+    if (unresolved.length === 0) return;
+
+    Logger.debug(`Resolving ${unresolved.length} quoted tweets`);
+    const cache = new Map();
+    for (const tweet of unresolved) {
+      if (!cache.has(tweet.quotedStatusId)) {
+        try {
+          const quoted = await this.fetchTweet(tweet.quotedStatusId, "resolving quoted tweet");
+          cache.set(tweet.quotedStatusId, this.processQuotedTweet(quoted));
+        } catch (error) {
+          Logger.warn(`⚠️  Could not resolve quoted tweet ${tweet.quotedStatusId}: ${error.message}`);
+          cache.set(tweet.quotedStatusId, null);
+        }
+      }
+      tweet.quotedTweet = cache.get(tweet.quotedStatusId);
+    }
+  }
+
+  /**
+   * @returns {number|null} The tweet's time in epoch ms, whether the scraper
+   *   gave seconds, milliseconds or only a parsed date.
+   */
+  getTweetTime(tweet) {
+    const timestamp = tweet.timestamp || tweet.timeParsed?.getTime();
+    if (!timestamp) return null;
+    return timestamp < 1e12 ? timestamp * 1000 : timestamp;
+  }
+
+  processTweetData(tweet, { trackStats = true } = {}) {
+    try {
+      if (!tweet || !tweet.id) return null;
 
-      if (timestamp < 1e12) timestamp *= 1000;
+      const timestamp = this.getTweetTime(tweet);
+      if (!timestamp) return null;
 
       if (isNaN(timestamp) || timestamp <= 0) {
         Logger.warn(`⚠️  Invalid timestamp for tweet ${tweet.id}`);
         return null;
       }
 
+      // Other people's tweets (mentions) don't count toward our date range
       const tweetDate = new Date(timestamp);
-      if (
-        !this.stats.oldestTweetDate ||
-        tweetDate < this.stats.oldestTweetDate
-      ) {
-        this.stats.oldestTweetDate = tweetDate;
-      }
-      if (
-        !this.stats.newestTweetDate ||
-        tweetDate > this.stats.newestTweetDate
-      ) {
-        this.stats.newestTweetDate = tweetDate;
+      if (trackStats) {
+        if (
+          !this.stats.oldestTweetDate ||
+          tweetDate < this.stats.oldestTweetDate
+        ) {
+          this.stats.oldestTweetDate = tweetDate;
+        }
+        if (
+          !this.stats.newestTweetDate ||
+          tweetDate > this.stats.newestTweetDate
+        ) {
+          this.stats.newestTweetDate = tweetDate;
+        }
       }
 
       return {
@@ -276,7 +627,9 @@ class TwitterPipeline {
         urls: tweet.urls || [],
         permanentUrl: tweet.permanentUrl,
         quotedStatusId: tweet.quotedStatusId,
+        quotedTweet: this.processQuotedTweet(tweet.quotedStatus),
         inReplyToStatusId: tweet.inReplyToStatusId,
+        conversationId: tweet.conversationId,
         hashtags: tweet.hashtags || [],
       };
     } catch (error) {
@@ -285,80 +638,578 @@ class TwitterPipeline {
     }
   }
 
+  buildSearchQuery(fromDate, toDate) {
+    // Wrapped so OR groups in a custom query don't swallow the date clauses
+    let searchQuery = this.query ? `(${this.query})` : `from:${this.username}`;
+    if (fromDate) searchQuery += ` since:${searchDate(fromDate)}`;
+    if (toDate) searchQuery += ` until:${searchDate(toDate)}`;
+    return searchQuery;
+  }
+
+  fetchSearchPage(query, cursor) {
+    return this.withRetry(
+      () =>
+        this.scraper.fetchSearchTweets(
+          query,
+          this.config.twitter.batchSize,
+          SearchMode.Latest,
+          cursor
+        ),
+      "fetching search results"
+    );
+  }
+
+  async waitBetweenRequests() {
+    await this.randomDelay(
+      this.currentDelay,
+      this.currentDelay +
+        this.config.twitter.maxDelayBetweenRequests -
+        this.config.twitter.minDelayBetweenRequests
+    );
+  }
+
+  /**
+   * Looks up a single tweet, paced and retried like a search page, so
+   * lookups in a loop don't run into the rate limit.
+   */
+  async fetchTweet(id, description) {
+    await this.waitBetweenRequests();
+    return this.withRetry(() => this.scraper.getTweet(id), description);
+  }
+
+  /**
+   * Splits the range into date windows, or picks up the windows of the run
+   * being resumed. A run checkpointed without windows resumes as a single
+   * window from its saved query and cursor.
+   * @returns {DateWindows}
+   */
+  async planWindows(profile, fromDate, toDate) {
+    const { dateWindows, windowDenseTweets, windowGapRatio } = this.config.twitter;
+    const options = { denseTweets: windowDenseTweets, gapRatio: windowGapRatio };
+
+    if (this.checkpoint) {
+      const saved = await this.dataOrganizer.loadWindows();
+      if (saved) return DateWindows.fromJSON(saved, options);
+
+      const { query, cursor } = this.checkpoint;
+      const window = DateWindows.createWindow(fromDate || null, toDate || null, 'all');
+      return new DateWindows([{ ...window, status: 'partial', query, cursor }], options);
+    }
+
+    if (!dateWindows) {
+      return new DateWindows(
+        [DateWindows.createWindow(fromDate || null, toDate || null, 'all')],
+        options
+      );
+    }
+
+    // No window starts before the account existed. Without a start date the
+    // full history is windowed from when the account joined, or else from
+    // its oldest stored tweet; with neither it is searched once.
+    let start = fromDate ? searchDate(fromDate) : null;
+    const joined = profile?.joined && searchDate(profile.joined);
+    if (joined && (!start || joined > start)) start = joined;
+    if (!start) {
+      const oldest = await (await this.dataOrganizer.getTweetStore()).oldestTimestamp();
+      if (oldest) start = searchDate(oldest);
+    }
+    return DateWindows.plan(start, toDate ? searchDate(toDate) : null, options);
+  }
+
+  /**
+   * Collects tweets one date window at a time, newest first, appending each
+   * page to the tweet log as it arrives so memory stays bounded by the page
+   * size. How far each window got is kept in meta/windows.json.
+   * @returns {Set<string>} ids - Ids of every tweet in the log.
+   */
   async collectTweets(profile, fromDate, toDate) {
-    const collectedTweets = [];
-    const { startDate, endDate } = this;
     const maxTweets = this.config.twitter.maxTweets;
-    let tweetIterator;
 
-    const fromDateObj = fromDate ? new Date(fromDate) : null;
-    const toDateObj = toDate ? new Date(toDate) : null;
-    let searchQuery = `from:${this.username}`;
-    if (fromDateObj) searchQuery += ` since:${format(fromDateObj, "yyyy-MM-dd")}`;
-    if (toDateObj) searchQuery += ` until:${format(toDateObj, "yyyy-MM-dd")}`;
+    // Pick up where an interrupted run left off, if we have a checkpoint
+    const seenIds = new Set(this.resumedIds);
+    this.windows = await this.planWindows(profile, fromDate, toDate);
+    let window = null;
 
-    Logger.startSpinner(`Collecting tweets for ${this.username}`);
+    await this.dataOrganizer.startTweetLog({ append: this.checkpoint !== null });
+    this.stats.uniqueTweets = seenIds.size;
+
+    // Progress is estimated against maxTweets and the date window, which
+    // runs back to the account's creation when no start date is given
+    const progressTarget = {
+      maxTweets,
+      windowStart: new Date(fromDate || profile?.joined || 0).getTime() || null,
+      windowEnd: toDate ? new Date(toDate).getTime() : Date.now(),
+    };
+    if (this.quiet) {
+      Logger.startSpinner(`Collecting tweets for ${this.username}`);
+    } else {
+      Logger.reset();
+      Logger.info(`Collecting tweets for ${this.username}`);
+    }
 
     try {
-      if (searchQuery) {
-        tweetIterator = this.scraper.searchTweets(
-          searchQuery,
-          maxTweets,
-          SearchMode.Latest
-        );
+      while (seenIds.size < maxTweets && !this.interrupted && (window = this.windows.next())) {
+        await this.collectWindow(window, seenIds, progressTarget);
+        // Stopped at maxTweets or by interrupt()
+        if (window.status === 'partial') break;
+
+        if (window.status === 'split') {
+          Logger.info(
+            `🗓️  ${window.start} to ${window.end || 'now'} returned ${window.tweets.toLocaleString()} tweets; collecting it again week by week`
+          );
+        }
+        await this.dataOrganizer.saveWindows(this.windows.toJSON());
+        if (this.windows.next()) await this.waitBetweenRequests();
+      }
+      await this.dataOrganizer.saveWindows(this.windows.toJSON());
+
+      const remaining = this.windows.next();
+      if (this.interrupted && remaining && seenIds.size < maxTweets) {
+        remaining.query = remaining.query || this.buildSearchQuery(remaining.start, remaining.end);
+        await this.saveInterruptedCollection(seenIds.size, remaining.cursor, remaining.query);
+      } else if (this.quiet) {
+        Logger.stopSpinner();
       } else {
-        tweetIterator = this.scraper.getTweets(this.username, maxTweets);
+        const elapsed = Date.now() - Logger.collectionStats.startTime;
+        Logger.success(
+          `Collected ${seenIds.size.toLocaleString()} tweets for ${this.username} in ${Logger.formatDuration(elapsed)}`
+        );
+      }
+      this.reportWindows();
+      return seenIds;
+    } catch (error) {
+      // A request cut short by interrupt() resumes from the same page
+      if (this.interrupted) {
+        await this.saveInterruptedCollection(seenIds.size, window?.cursor, window?.query);
+        return seenIds;
       }
+      if (error.kind === "rateLimit" && this.shouldUseFallback()) {
+        Logger.stopSpinner(false);
+        Logger.warn(
+          `API scraper hit ${this.stats.rateLimitHits} rate limits. Switching to browser fallback.`
+        );
+        await this.dataOrganizer.saveWindows(this.windows.toJSON());
+        const fallbackTweets = await this.collectWithFallback(
+          fromDate,
+          toDate,
+          seenIds,
+          maxTweets - seenIds.size
+        );
+        await this.resolveQuotedTweets(fallbackTweets);
+        await this.dataOrganizer.appendTweets(fallbackTweets);
+        return seenIds;
+      }
+
+      Logger.error(`Failed to collect tweets: ${error.message}`);
+      await this.saveCheckpoint(seenIds.size, window?.cursor, window?.query);
+      Logger.info(
+        `Checkpoint saved with ${seenIds.size} tweets. Run again with --resume to continue.`
+      );
+      throw error;
+    }
+  }
 
-      for await (const tweet of tweetIterator) {
-        this.stats.requestCount++;
+  /**
+   * Collects one date window page by page until its search runs out of
+   * results. Stopping early at maxTweets or on interrupt() leaves the
+   * window partial, with the cursor to continue from.
+   */
+  async collectWindow(window, seenIds, progressTarget) {
+    const { maxTweets, checkpointInterval } = this.config.twitter;
+    window.query = window.query || this.buildSearchQuery(window.start, window.end);
+    window.status = 'partial';
+    let lastCheckpointSize = seenIds.size;
+
+    while (seenIds.size < maxTweets && !this.interrupted) {
+      const { tweets, next } = await this.fetchSearchPage(window.query, window.cursor);
+
+      const page = [];
+      for (const tweet of tweets) {
+        if (seenIds.size >= maxTweets) break;
+        if (seenIds.has(tweet.id)) continue;
         if (this.tweetFilter.shouldIncludeTweet(tweet)) {
           const processedTweet = this.processTweetData(tweet);
           if (processedTweet) {
-            collectedTweets.push(processedTweet);
+            seenIds.add(processedTweet.id);
+            page.push(processedTweet);
             this.stats.uniqueTweets++;
           }
         }
       }
+      await this.resolveQuotedTweets(page);
+      await this.dataOrganizer.appendTweets(page);
+
+      const times = tweets.map((tweet) => this.getTweetTime(tweet)).filter(Boolean);
+      this.windows.addPage(window, times, page.length);
+      if (!this.quiet) {
+        Logger.updateCollectionProgress({
+          totalCollected: seenIds.size,
+          newInBatch: page.length,
+          batchSize: tweets.length,
+          oldestTweetDate: times.length > 0 ? Math.min(...times) : null,
+          newestTweetDate: times.length > 0 ? Math.max(...times) : null,
+          currentDelay: this.currentDelay,
+          ...progressTarget,
+        });
+      }
+
+      if (tweets.length === 0 || !next || next === window.cursor) {
+        this.windows.complete(window);
+        return;
+      }
+      window.cursor = next;
+
+      if (seenIds.size - lastCheckpointSize >= checkpointInterval) {
+        await this.saveCheckpoint(seenIds.size, window.cursor, window.query);
+        lastCheckpointSize = seenIds.size;
+      }
+
+      await this.waitBetweenRequests();
+    }
+  }
 
+  /**
+   * Warns about date windows that returned suspiciously few tweets or were
+   * not collected to the end.
+   */
+  reportWindows() {
+    const { total, gaps, incomplete } = this.windows.summarize();
+    gaps.forEach((gap) =>
+      Logger.warn(
+        `Possible gap: ${gap.start} to ${gap.end || 'now'} returned ${gap.tweets.toLocaleString()} tweets where about ${gap.expected.toLocaleString()} were expected`
+      )
+    );
+    if (incomplete > 0 && !this.partial) {
+      Logger.warn(
+        `${incomplete} of ${total} date windows were not collected to the end (MAX_TWEETS reached)`
+      );
+    }
+  }
+
+  buildMentionsQuery(fromDate, toDate) {
+    let searchQuery = `(to:${this.username} OR @${this.username}) -from:${this.username}`;
+    if (fromDate) searchQuery += ` since:${searchDate(fromDate)}`;
+    if (toDate) searchQuery += ` until:${searchDate(toDate)}`;
+    return searchQuery;
+  }
+
+  async collectMentions(fromDate, toDate) {
+    const maxMentions = this.config.twitter.maxMentions;
+    const searchQuery = this.buildMentionsQuery(fromDate, toDate);
+    const mentions = [];
+    const seenIds = new Set();
+    let cursor;
+
+    Logger.startSpinner(`Collecting replies and mentions for @${this.username}`);
+    try {
+      while (mentions.length < maxMentions && !this.interrupted) {
+        const { tweets, next } = await this.fetchSearchPage(searchQuery, cursor);
+
+        for (const tweet of tweets) {
+          if (seenIds.has(tweet.id)) continue;
+          const processedTweet = this.processTweetData(tweet, { trackStats: false });
+          if (processedTweet) {
+            seenIds.add(processedTweet.id);
+            mentions.push(processedTweet);
+          }
+        }
+
+        if (tweets.length === 0 || !next || next === cursor) break;
+        cursor = next;
+        await this.waitBetweenRequests();
+      }
       Logger.stopSpinner();
-      return collectedTweets;
     } catch (error) {
-      Logger.error(`Failed to collect tweets: ${error.message}`);
-      // The library's default rate-limit strategy will handle this.
-      // We can re-throw or handle other specific errors here if needed.
-      throw error;
+      // Keep what we have; mentions are secondary to the account's own tweets
+      Logger.stopSpinner(false);
+      Logger.warn(`⚠️  Mention collection stopped early: ${error.message}`);
+    }
+
+    // Link each mention to the target's replies to it, keeping only those
+    // replies rather than every collected tweet
+    const mentionIds = new Set(mentions.map((mention) => mention.id));
+    const ownIds = new Set();
+    const replies = [];
+    const repliesByParent = new Map();
+    for await (const tweet of this.dataOrganizer.streamTweets()) {
+      ownIds.add(tweet.id);
+      if (!mentionIds.has(tweet.inReplyToStatusId)) continue;
+
+      replies.push(tweet);
+      const replyIds = repliesByParent.get(tweet.inReplyToStatusId) || [];
+      replyIds.push(tweet.id);
+      repliesByParent.set(tweet.inReplyToStatusId, replyIds);
+    }
+
+    const linkedMentions = mentions.slice(0, maxMentions).map((mention) => ({
+      ...mention,
+      repliesToTarget: ownIds.has(mention.inReplyToStatusId),
+      targetReplyIds: repliesByParent.get(mention.id) || [],
+    }));
+
+    this.stats.mentions = linkedMentions.length;
+    await this.dataOrganizer.saveMentions(linkedMentions, replies);
+    return linkedMentions;
+  }
+
+  /**
+   * Builds raw/graph.json from the accounts the target follows and the
+   * accounts it replies to, mentions, quotes and retweets most often.
+   * @param {object[]} mentions - Collected mentions of the account, if any.
+   */
+  async collectGraph(mentions = []) {
+    const graph = new InteractionGraph(this.username);
+    for await (const tweet of this.dataOrganizer.streamTweets()) {
+      graph.addTweet(tweet);
+    }
+    graph.addMentions(mentions);
+
+    const maxFollowing = this.config.twitter.maxFollowing;
+    const following = [];
+    let complete = true;
+
+    Logger.startSpinner(`Collecting accounts followed by @${this.username}`);
+    try {
+      const userId =
+        this.profile?.userId ||
+        (await this.withRetry(
+          () => this.scraper.getUserIdByScreenName(this.username),
+          "looking up user id"
+        ));
+
+      for await (const profile of this.scraper.getFollowing(userId, maxFollowing)) {
+        following.push(profile);
+      }
+      Logger.stopSpinner();
+    } catch (error) {
+      // The interaction counts are still useful without the full list
+      complete = false;
+      Logger.stopSpinner(false);
+      Logger.warn(`⚠️  Following list stopped early: ${error.message}`);
+    }
+
+    graph.setFollowing(following, complete);
+    await this.dataOrganizer.saveGraph(graph.toJSON());
+  }
+
+  /**
+   * Records the settings this run used in meta/config.json, so scheduled
+   * runs can be reproduced exactly.
+   * @param {object} filterOptions - The resolved filter options.
+   */
+  async saveRunConfig(filterOptions) {
+    await this.dataOrganizer.saveRunConfig({
+      savedAt: new Date().toISOString(),
+      configFile: this.configFile,
+      settings: {
+        username: this.query ? null : this.username,
+        query: this.query,
+        resume: this.resume,
+        incremental: this.incremental,
+        conversationDepth: this.conversationDepth,
+        mentions: this.includeMentions,
+        media: this.downloadMedia,
+        graph: this.collectFollowGraph,
+        backend: this.scraper.name,
+      },
+      filterOptions,
+    });
+  }
+
+  async saveCheckpoint(totalTweets, cursor, searchQuery, details = {}) {
+    try {
+      this.checkpoint = {
+        query: searchQuery,
+        cursor,
+        filterOptions: this.tweetFilter.options,
+        checkpointAt: new Date().toISOString(),
+        ...details,
+      };
+      await this.dataOrganizer.saveCheckpoint(cursor);
+      if (this.windows) {
+        await this.dataOrganizer.saveWindows(this.windows.toJSON());
+      }
+      await this.saveProgress(
+        this.tweetFilter.options?.fromDate || null,
+        this.tweetFilter.options?.toDate || null,
+        totalTweets,
+        { completed: false, ...this.checkpoint }
+      );
+    } catch (error) {
+      Logger.warn(`⚠️  Failed to save checkpoint: ${error.message}`);
     }
   }
 
+  /**
+   * Checkpoints a collection stopped by interrupt() and marks the run
+   * partial in meta/progress.json, with the cursor --resume continues from.
+   */
+  async saveInterruptedCollection(totalTweets, cursor, searchQuery) {
+    this.partial = true;
+    Logger.stopSpinner(false);
+    await this.saveCheckpoint(totalTweets, cursor, searchQuery, {
+      partial: true,
+      interruptedAt: new Date().toISOString(),
+    });
+    Logger.warn(`⏸️  Collection interrupted after ${totalTweets.toLocaleString()} tweets`);
+  }
+
+  async loadResumeState() {
+    const snapshotDir = await this.dataOrganizer.findResumableRun(this.username);
+    if (!snapshotDir) {
+      Logger.warn(`No interrupted run found for @${this.username}. Starting a new collection.`);
+      return null;
+    }
+
+    await this.dataOrganizer.useSnapshot(snapshotDir);
+    const checkpoint = await this.dataOrganizer.loadCheckpoint();
+    const { progress } = JSON.parse(
+      await fs.readFile(this.dataOrganizer.getPaths().meta.progress, 'utf-8')
+    );
+
+    this.checkpoint = {
+      query: progress.query,
+      cursor: checkpoint?.cursor || null,
+      filterOptions: progress.filterOptions,
+    };
+    this.resumedIds = checkpoint?.ids || new Set();
+
+    Logger.info(
+      `↩️  Resuming ${snapshotDir} with ${this.resumedIds.size} tweets already collected`
+    );
+    return this.checkpoint;
+  }
+
   async getProfile() {
     Logger.startSpinner('Fetching profile information');
     try {
-      const profile = await this.scraper.getProfile(this.username);
+      const profile = await this.withRetry(
+        () => this.scraper.getProfile(this.username),
+        "fetching profile"
+      );
+      this.profile = await this.buildProfileSnapshot(profile);
       this.stats.profile = {
-        following: profile.following,
-        likes: profile.likes,
+        following: profile.followingCount,
+        likes: profile.likesCount,
       };
-      return this.stats.profile;
+      await this.dataOrganizer.saveProfile(this.profile);
+      Logger.stopSpinner();
+      return this.profile;
     } catch (error) {
       Logger.fail(`Failed to fetch profile: ${error.message}`);
+      this.profileError = error;
       return null;
     }
   }
 
+  /**
+   * Turns a scraper profile into the record stored in raw/profile.json.
+   * The pinned tweet is looked up as well, but a failure there only
+   * leaves it out of the snapshot.
+   * @param {object} profile - Profile returned by the scraper.
+   * @returns {object} snapshot - Full profile snapshot.
+   */
+  async buildProfileSnapshot(profile) {
+    const pinnedTweetIds = profile.pinnedTweetIds || [];
+    let pinnedTweet = null;
+
+    if (pinnedTweetIds.length > 0) {
+      try {
+        const tweet = await this.withRetry(
+          () => this.scraper.getTweet(pinnedTweetIds[0]),
+          "fetching pinned tweet"
+        );
+        if (tweet) {
+          pinnedTweet = this.processTweetData(tweet, { trackStats: false });
+        }
+      } catch (error) {
+        Logger.warn(`⚠️  Could not fetch pinned tweet: ${error.message}`);
+      }
+    }
+
+    return {
+      fetchedAt: new Date().toISOString(),
+      userId: profile.userId,
+      username: profile.username || this.username,
+      name: profile.name,
+      biography: profile.biography || '',
+      location: profile.location || '',
+      website: profile.website || profile.url || '',
+      joined: profile.joined ? new Date(profile.joined).toISOString() : null,
+      avatar: profile.avatar || null,
+      banner: profile.banner || null,
+      isVerified: Boolean(profile.isVerified),
+      isBlueVerified: Boolean(profile.isBlueVerified),
+      isPrivate: Boolean(profile.isPrivate),
+      followersCount: profile.followersCount ?? null,
+      followingCount: profile.followingCount ?? null,
+      tweetsCount: profile.tweetsCount ?? null,
+      likesCount: profile.likesCount ?? null,
+      listedCount: profile.listedCount ?? null,
+      mediaCount: profile.mediaCount ?? null,
+      pinnedTweetIds,
+      pinnedTweet,
+    };
+  }
+
+  /**
+   * Copies the tweets stored in earlier snapshots to a temporary JSONL file,
+   * to be merged into this run's tweet log once new tweets are collected.
+   * @returns {{ path: string, count: number, newestTimestamp: number, ids: Set<string> }|null}
+   *   The stored tweets, or null if there are none.
+   */
+  async loadExistingTweets() {
+    const existingPath = `${this.dataOrganizer.getPaths().raw.tweetLog}.existing`;
+    const existing = await this.dataOrganizer.copyAccountTweets(
+      this.username.toLowerCase(),
+      existingPath
+    );
+
+    if (existing.count === 0) {
+      await fs.rm(existingPath, { force: true });
+      Logger.warn('No earlier snapshots found. Running a full collection.');
+      return null;
+    }
+
+    Logger.info(
+      `🔁 Found ${existing.count.toLocaleString()} stored tweets, newest from ${new Date(existing.newestTimestamp).toISOString()}`
+    );
+    return { path: existingPath, ...existing };
+  }
+
   async run() {
     const startTime = Date.now();
 
-    console.log("\n" + chalk.bold.blue("🐦 Twitter Data Collection Pipeline"));
-    console.log(
-      chalk.bold(`Target Account: ${chalk.cyan("@" + this.username)}\n`)
+    Logger.print("\n" + chalk.bold.blue("🐦 Twitter Data Collection Pipeline"));
+    Logger.print(
+      this.query
+        ? chalk.bold(`Search Query: ${chalk.cyan(this.query)}\n`)
+        : chalk.bold(`Target Account: ${chalk.cyan("@" + this.username)}\n`)
     );
 
+    let runLog = null;
     try {
-      await this.validateEnvironment();
+      // Offline backends have no session to validate or log in
+      const needsAuth = this.ownsScraper && this.scraper.requiresAuth;
+      if (needsAuth) {
+        await this.validateEnvironment();
+      }
 
       let filterOptions;
-      if (this.startDate && this.endDate) {
+      const resumeState = this.resume ? await this.loadResumeState() : null;
+
+      // From here on, also log to the snapshot's run log
+      if (Logger.runLogs) {
+        await this.dataOrganizer.ready;
+        runLog = this.dataOrganizer.getPaths().meta.runLog;
+        Logger.addFile(runLog);
+      }
+      if (resumeState?.filterOptions) {
+        Logger.info('↩️  Using filter options from the interrupted run.');
+        filterOptions = resumeState.filterOptions;
+      } else if (this.presetFilterOptions) {
+        filterOptions = this.presetFilterOptions;
+      } else if (this.startDate && this.endDate) {
         Logger.info('🗓️ Using date range from command-line flags.');
         filterOptions = {
           mode: 'Date Range',
@@ -368,6 +1219,12 @@ class TwitterPipeline {
           tweetTypes: ['original', 'replies', 'quotes', 'retweets'],
           contentTypes: ['text', 'images', 'videos', 'links'],
         };
+      } else if (!process.stdin.isTTY) {
+        Logger.warn('No terminal to prompt on; collecting everything. Pass --config or filter flags to narrow it.');
+        filterOptions = TweetFilter.buildOptions({
+          startDate: this.startDate,
+          endDate: this.endDate,
+        });
       } else {
         filterOptions = await this.tweetFilter.promptCollectionMode();
       }
@@ -376,40 +1233,182 @@ class TwitterPipeline {
       
       if (!filterOptions) {
         Logger.warn("No filter configuration provided. Exiting.");
-        return;
+        return { status: 'skipped', reason: 'No filter configuration' };
       }
+      await this.saveRunConfig(filterOptions);
 
-      if (await this.initializeScraper()) {
-        const profile = await this.getProfile();
+      // A shared scraper was authenticated by whoever created it
+      this.stage = "auth";
+      if (needsAuth && !(await this.initializeScraper())) {
+        return await this.fail(Object.assign(new Error('Authentication failed'), { kind: 'auth' }));
+      }
 
-        if (profile) {
-          Logger.startSpinner(`Collecting tweets for ${this.username}`);
-          const collectedTweets = await this.collectTweets(
-            profile,
-            filterOptions.fromDate,
-            filterOptions.toDate
-          );
-          Logger.stopSpinner();
-
-          if (collectedTweets.length > 0) {
-            Logger.startSpinner('Processing and saving data');
-            const analytics = await this.dataOrganizer.saveTweets(
-              collectedTweets
-            );
-            Logger.success('Processing and saving data');
-            await this.displaySummary(analytics, startTime);
-          } else {
-            Logger.warn('No tweets collected. Nothing to process or save.');
-          }
-        }
+      // A search query has no profile to snapshot
+      this.stage = "profile";
+      const profile = this.query ? null : await this.getProfile();
+      if (!profile && !this.query) {
+        return await this.fail(this.profileError || new Error('Could not fetch profile'));
       }
+
+      return await this.collectAndSave(profile, filterOptions, startTime);
     } catch (error) {
       Logger.error(`Pipeline failed: ${error.message}`);
       await this.cleanup();
-      return null;
+      return await this.fail(error);
+    } finally {
+      if (runLog) Logger.removeFile(runLog);
     }
   }
 
+  /**
+   * Records a run-ending error in the snapshot's error journal.
+   * @returns {object} The failed run result, with the error's class.
+   */
+  async fail(error) {
+    await this.logError(error);
+    return { status: 'failed', error: error.message, errorKind: ErrorJournal.classify(error) };
+  }
+
+  async collectAndSave(profile, filterOptions, startTime) {
+    const existing = this.incremental ? await this.loadExistingTweets() : null;
+
+    // Only search from the day of the newest stored tweet onwards
+    let fromDate = filterOptions.fromDate;
+    if (existing) {
+      const newestStored = new Date(existing.newestTimestamp);
+      if (!fromDate || new Date(fromDate) < newestStored) {
+        fromDate = searchDate(newestStored);
+      }
+    }
+
+    this.stage = "collect";
+    const collectedIds = await this.collectTweets(
+      profile,
+      fromDate,
+      filterOptions.toDate
+    );
+
+    let totalTweets = collectedIds.size;
+    if (this.incremental) {
+      const existingIds = existing?.ids || new Set();
+      this.stats.newTweets = [...collectedIds].filter(
+        (id) => !existingIds.has(id)
+      ).length;
+      Logger.info(`🆕 ${this.stats.newTweets.toLocaleString()} new tweets since the last snapshot`);
+
+      if (this.stats.newTweets === 0 && !this.partial) {
+        await this.dataOrganizer.discardTweetLog();
+        if (existing) await fs.rm(existing.path, { force: true });
+        await this.completeCollection(0);
+        Logger.success('Dataset is already up to date.');
+        return { status: 'skipped', reason: 'No new tweets', newTweets: 0 };
+      }
+      if (existing) {
+        totalTweets += await this.dataOrganizer.appendTweetsFrom(existing.path, collectedIds);
+        await fs.rm(existing.path, { force: true });
+      }
+    }
+
+    if (totalTweets === 0) {
+      await this.dataOrganizer.discardTweetLog();
+      Logger.warn('No tweets collected. Nothing to process or save.');
+      return { status: 'skipped', reason: 'No tweets collected' };
+    }
+
+    this.stage = "save";
+    Logger.startSpinner('Processing and saving data');
+    const analytics = await this.dataOrganizer.finalizeTweets();
+    totalTweets = analytics.totalTweets;
+    Logger.success('Processing and saving data');
+    let mentions = [];
+    if (this.includeMentions && this.query) {
+      Logger.warn('Mentions are only collected for accounts, not search queries.');
+    } else if (this.includeMentions && !this.interrupted) {
+      this.stage = "mentions";
+      mentions = await this.collectMentions(fromDate, filterOptions.toDate);
+    }
+    if (this.collectFollowGraph && this.query) {
+      Logger.warn('The follow graph is only collected for accounts, not search queries.');
+    } else if (this.collectFollowGraph && !this.interrupted) {
+      this.stage = "graph";
+      await this.collectGraph(mentions);
+    }
+
+    // Conversation and media stages need random access to the tweets
+    if ((this.conversationDepth > 0 || this.downloadMedia) && !this.interrupted) {
+      const tweets = await this.dataOrganizer.readTweets();
+      if (this.conversationDepth > 0) {
+        this.stage = "conversations";
+        await this.enrichConversations(tweets);
+      }
+      if (this.downloadMedia) {
+        this.stage = "media";
+        await this.collectMedia(tweets);
+      }
+    }
+    // A collection cut short stays resumable
+    if (!this.partial) await this.completeCollection(totalTweets);
+    await this.saveCookies();
+    await this.displaySummary(analytics, startTime);
+    if (this.partial) {
+      Logger.warn(
+        `⏸️  Saved the ${totalTweets.toLocaleString()} tweets collected before the interrupt. Run again with --resume to continue.`
+      );
+    }
+
+    return {
+      status: this.interrupted ? 'interrupted' : 'succeeded',
+      tweets: totalTweets,
+      newTweets: this.stats.newTweets,
+      snapshot: this.dataOrganizer.baseDir,
+    };
+  }
+
+  async enrichConversations(tweets) {
+    Logger.startSpinner(`Reconstructing conversations (depth ${this.conversationDepth})`);
+    try {
+      const conversations = await new ConversationBuilder(
+        (id) => this.fetchTweet(id, "fetching conversation context"),
+        { depth: this.conversationDepth }
+      ).build(tweets);
+      await this.dataOrganizer.saveConversations(conversations, tweets, this.username);
+      Logger.stopSpinner();
+    } catch (error) {
+      Logger.stopSpinner(false);
+      Logger.warn(`⚠️  Conversation enrichment failed: ${error.message}`);
+    }
+  }
+
+  async collectMedia(tweets) {
+    Logger.startSpinner('Downloading media');
+    try {
+      const downloader = new MediaDownloader(this.dataOrganizer.getPaths().raw.media, {
+        retryDelay: this.config.twitter.retryDelay,
+      });
+      const manifest = await downloader.download(tweets);
+      await this.dataOrganizer.saveMediaManifest(manifest);
+      Logger.stopSpinner();
+    } catch (error) {
+      Logger.stopSpinner(false);
+      Logger.warn(`⚠️  Media download failed: ${error.message}`);
+    }
+  }
+
+  async completeCollection(totalTweets) {
+    this.checkpoint = null;
+    await this.dataOrganizer.clearCheckpoint();
+    await this.saveProgress(
+      this.tweetFilter.options?.fromDate || null,
+      this.tweetFilter.options?.toDate || null,
+      totalTweets,
+      {
+        completed: true,
+        endTime: new Date().toISOString(),
+        rateLimitHits: this.stats.rateLimitHits,
+      }
+    );
+  }
+
   async displaySummary(analytics, startTime) {
     // Calculate final statistics
     const duration = ((Date.now() - startTime) / 1000).toFixed(1);
@@ -417,44 +1416,66 @@ class TwitterPipeline {
       analytics.totalTweets > 0
         ? (analytics.totalTweets / (duration / 60)).toFixed(1)
         : '0.0';
-    const successRate = (
-      (analytics.totalTweets / this.stats.requestCount) *
-      100
-    ).toFixed(1);
+    const successRate =
+      this.stats.requestCount > 0
+        ? (
+            ((this.stats.requestCount - this.stats.failedRequests) /
+              this.stats.requestCount) *
+            100
+          ).toFixed(1)
+        : '100.0';
+
+    const windows = this.windows?.summarize();
 
     // Display final results
     Logger.stats('📊 📈 Collection Results:', {
       'Total Tweets': analytics.totalTweets.toLocaleString(),
+      ...(this.stats.newTweets !== null && {
+        'New Tweets': this.stats.newTweets.toLocaleString(),
+      }),
       'Original Tweets': analytics.directTweets.toLocaleString(),
       Replies: analytics.replies.toLocaleString(),
       Retweets: analytics.retweets.toLocaleString(),
+      'Quote Tweets': analytics.quotes.toLocaleString(),
+      ...(this.stats.mentions !== null && {
+        'Mentions Collected': this.stats.mentions.toLocaleString(),
+      }),
       'Date Range': `${analytics.timeRange.start} to ${analytics.timeRange.end}`,
+      ...(windows?.total > 1 && {
+        'Date Windows': `${windows.complete}/${windows.total} complete, ${windows.split} split into weeks, ${windows.gaps.length} possible gaps`,
+      }),
       Runtime: `${duration} seconds`,
       'Collection Rate': `${tweetsPerMinute} tweets/minute`,
       'Success Rate': `${successRate}%`,
       'Rate Limit Hits': this.stats.rateLimitHits.toLocaleString(),
-      'Fallback Collections': '0',
+      'Account Rotations': this.stats.accountRotations.toLocaleString(),
+      Retries: this.stats.retriesCount.toLocaleString(),
+      'Fallback Collections': this.stats.fallbackCount.toLocaleString(),
       'Storage Location': chalk.gray(this.dataOrganizer.baseDir),
     });
 
+    if (this.scraper.proxyPool?.enabled) {
+      this.scraper.proxyPool.displayStats();
+    }
+
     // Content type breakdown
     Logger.info('\n Content Type Breakdown:');
-    console.log(
+    Logger.print(
       chalk.cyan(
         `• Text Only: ${analytics.contentTypes.textOnly.toLocaleString()}`
       )
     );
-    console.log(
+    Logger.print(
       chalk.cyan(
         `• With Images: ${analytics.contentTypes.withImages.toLocaleString()}`
       )
     );
-    console.log(
+    Logger.print(
       chalk.cyan(
         `• With Videos: ${analytics.contentTypes.withVideos.toLocaleString()}`
       )
     );
-    console.log(
+    Logger.print(
       chalk.cyan(
         `• With Links: ${analytics.contentTypes.withLinks.toLocaleString()}`
       )
@@ -462,22 +1483,22 @@ class TwitterPipeline {
 
     // Engagement statistics
     Logger.info('\n💫 Engagement Statistics:');
-    console.log(
+    Logger.print(
       chalk.cyan(
         `• Total Likes: ${analytics.engagement.totalLikes.toLocaleString()}`
       )
     );
-    console.log(
+    Logger.print(
       chalk.cyan(
         `• Total Retweets: ${analytics.engagement.totalRetweetCount.toLocaleString()}`
       )
     );
-    console.log(
+    Logger.print(
       chalk.cyan(
         `• Total Replies: ${analytics.engagement.totalReplies.toLocaleString()}`
       )
     );
-    console.log(
+    Logger.print(
       chalk.cyan(`• Average Likes: ${analytics.engagement.averageLikes}`)
     );
 
@@ -486,24 +1507,27 @@ class TwitterPipeline {
       const date = tweet.timestamp
         ? format(new Date(tweet.timestamp), 'yyyy-MM-dd')
         : 'N/A';
-      console.log(`\n${index + 1}. [${date}]`);
-      console.log(tweet.text);
-      console.log(
+      Logger.print(`\n${index + 1}. [${date}]`);
+      Logger.print(tweet.text);
+      if (tweet.quotedTweet) {
+        Logger.print(chalk.gray(`↪ Quoting @${tweet.quotedTweet.username}: ${tweet.quotedTweet.text}`));
+      }
+      Logger.print(
         chalk.red(`❤️ ${tweet.likes?.toLocaleString() || 0}`) +
           ` | ` +
           chalk.green(`🔄 ${tweet.retweetCount?.toLocaleString() || 0}`) +
           ` | ` +
           chalk.blue(`💬 ${tweet.replies?.toLocaleString() || 0}`)
       );
-      console.log(chalk.gray(`🔗 ${tweet.url}`));
+      Logger.print(chalk.gray(`🔗 ${tweet.url}`));
     });
   }
 
   async cleanup() {
     try {
       // Cleanup main scraper
-      if (this.scraper) {
-        await this.scraper.logout();
+      if (this.scraper && this.ownsScraper && this.scraper.requiresAuth) {
+        await this.accountPool.release(this.scraper);
         Logger.success("🔒 Logged out of primary system");
       }
 
@@ -513,8 +1537,10 @@ class TwitterPipeline {
         Logger.success("🔒 Cleaned up fallback system");
       }
 
+      // Keep the checkpoint resumable if collection didn't finish
       await this.saveProgress(null, null, this.stats.uniqueTweets, {
-        completed: true,
+        ...this.checkpoint,
+        completed: !this.checkpoint,
         endTime: new Date().toISOString(),
         fallbackUsed: this.stats.fallbackUsed,
         fallbackCount: this.stats.fallbackCount,
@@ -525,7 +1551,8 @@ class TwitterPipeline {
     } catch (error) {
       Logger.warn(`⚠️  Cleanup error: ${error.message}`);
       await this.saveProgress(null, null, this.stats.uniqueTweets, {
-        completed: true,
+        ...this.checkpoint,
+        completed: !this.checkpoint,
         endTime: new Date().toISOString(),
         error: error.message,
       });
@@ -535,13 +1562,18 @@ class TwitterPipeline {
   async logError(error, context = {}) {
     const errorLog = {
       timestamp: new Date().toISOString(),
+      kind: ErrorJournal.classify(error),
       error: {
         message: error.message,
+        code: error.code,
         stack: error.stack,
       },
       context: {
         ...context,
+        stage: this.stage,
         username: this.username,
+        ...(this.query && { query: this.query }),
+        account: this.accountPool.current?.username || null,
         sessionDuration: Date.now() - this.stats.startTime,
         rateLimitHits: this.stats.rateLimitHits,
         fallbackUsed: this.stats.fallbackUsed,
@@ -568,29 +1600,16 @@ class TwitterPipeline {
     );
 
     try {
-      let existingLogs = [];
-      try {
-        const existing = await fs.readFile(errorLogPath, "utf-8");
-        existingLogs = JSON.parse(existing);
-      } catch {
-        // File doesn't exist yet
-      }
-
-      existingLogs.push(errorLog);
-
-      // Keep only recent errors
-      if (existingLogs.length > 100) {
-        existingLogs = existingLogs.slice(-100);
-      }
-
-      await fs.writeFile(errorLogPath, JSON.stringify(existingLogs, null, 2));
+      await this.dataOrganizer.ready;
+      await ErrorJournal.append(errorLogPath, errorLog);
     } catch (logError) {
       Logger.error(`Failed to save error log: ${logError.message}`);
     }
   }
 
   async saveProgress(startDate, endDate, totalTweets, progress) {
-    const progressPath = path.join(this.dataOrganizer.baseDir, 'meta', 'progress.json');
+    await this.dataOrganizer.ready;
+    const progressPath = this.dataOrganizer.getPaths().meta.progress;
     let existingProgress = {};
 
     try {
@@ -600,6 +1619,7 @@ class TwitterPipeline {
       // File doesn't exist yet
     }
 
+    if (this.query) existingProgress.query = this.query;
     existingProgress.progress = progress;
     existingProgress.totalTweets = totalTweets;
     existingProgress.startDate = startDate;
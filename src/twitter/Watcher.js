@@ -0,0 +1,254 @@
+// Watcher.js
+import fs from 'fs/promises';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { fileURLToPath } from 'url';
+import { format } from 'date-fns';
+import BatchRunner from './BatchRunner.js';
+import CollectionConfig from './CollectionConfig.js';
+import DataOrganizer from './DataOrganizer.js';
+import TweetStore from './TweetStore.js';
+import Logger from './Logger.js';
+
+const execFileAsync = promisify(execFile);
+const CHARACTER_SCRIPT = fileURLToPath(new URL('../character/GenerateCharacter.js', import.meta.url));
+// Dot-prefixed like .store, so it can't be taken for an account named watch
+const WATCH_DIR = path.join('pipeline', '.watch');
+
+class Watcher {
+  /**
+   * @param {string} targetsFile - Targets file, as for batch runs. Entries
+   *   may also set `interval`, `minNewTweets` and `regenerate`.
+   * @param {object} options - `defaults`: settings from the command line,
+   *   applied beneath the targets file's own; `once`: run every due target
+   *   a single time and exit.
+   */
+  constructor(targetsFile, options = {}) {
+    this.runner = new BatchRunner(targetsFile, { defaults: options.defaults });
+    this.once = Boolean(options.once);
+    this.defaults = {
+      interval: CollectionConfig.parseDuration(process.env.WATCH_INTERVAL || '6h'),
+      minNewTweets: parseInt(process.env.WATCH_MIN_NEW_TWEETS) || 50,
+      regenerate: [],
+    };
+
+    this.statePath = path.join(WATCH_DIR, 'state.json');
+    this.logPath = path.join(WATCH_DIR, 'runs.jsonl');
+    this.state = {};
+    this.stopped = false;
+    this.wake = null;
+  }
+
+  async loadState() {
+    try {
+      this.state = JSON.parse(await fs.readFile(this.statePath, 'utf-8'));
+    } catch {
+      // First watch run
+    }
+  }
+
+  async saveState() {
+    await fs.mkdir(WATCH_DIR, { recursive: true });
+    await fs.writeFile(this.statePath, JSON.stringify(this.state, null, 2), 'utf-8');
+  }
+
+  async logRun(entry) {
+    await fs.mkdir(WATCH_DIR, { recursive: true });
+    await fs.appendFile(this.logPath, `${JSON.stringify(entry)}\n`, 'utf-8');
+  }
+
+  getState(username) {
+    if (!this.state[username]) {
+      this.state[username] = {
+        lastRunAt: null,
+        lastStatus: null,
+        nextRunAt: null,
+        pendingNewTweets: 0,
+        lastRegeneratedAt: null,
+      };
+    }
+    return this.state[username];
+  }
+
+  /**
+   * Waits until the given time, or until stop() is called.
+   * @param {number} time - Epoch ms.
+   */
+  sleepUntil(time) {
+    return new Promise((resolve) => {
+      const timer = setTimeout(resolve, Math.max(0, time - Date.now()));
+      this.wake = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+    });
+  }
+
+  /**
+   * Finishes the run in progress, if any, and ends the watch.
+   */
+  stop() {
+    this.stopped = true;
+    this.wake?.();
+  }
+
+  /**
+   * Holds off while every pooled account is resting after a rate limit.
+   */
+  async waitForCooldown() {
+    const until = await this.runner.accountPool.nextAvailableAt();
+    if (!until) return;
+
+    Logger.warn(`⏳ All accounts are rate limited. Waiting until ${format(until, 'yyyy-MM-dd HH:mm')}.`);
+    await this.sleepUntil(until);
+  }
+
+  /**
+   * Runs the watch loop: collects each target whenever its interval has
+   * passed, until stopped (or after one round with `once`).
+   * @returns {boolean} started - False if the session could not be opened.
+   */
+  async start() {
+    const targets = [];
+    for (const target of await this.runner.loadTargets()) {
+      if (target.skip) {
+        Logger.info(`⏭️  Not watching @${target.username}: ${typeof target.skip === 'string' ? target.skip : 'disabled in targets file'}`);
+      } else {
+        targets.push(target);
+      }
+    }
+    if (targets.length === 0) {
+      Logger.warn(`No accounts to watch in ${this.runner.targetsFile}`);
+      return true;
+    }
+
+    await this.loadState();
+    if (!(await this.runner.openSession(targets[0].username))) {
+      Logger.error('Authentication failed. Not starting the watch.');
+      return false;
+    }
+    Logger.info(`👀 Watching ${targets.length} accounts from ${this.runner.targetsFile}`);
+
+    try {
+      while (!this.stopped) {
+        const due = targets
+          .filter((target) => (this.getState(target.username).nextRunAt || 0) <= Date.now())
+          .sort(
+            (a, b) =>
+              (this.getState(a.username).nextRunAt || 0) -
+              (this.getState(b.username).nextRunAt || 0)
+          );
+        if (due.length === 0 && this.once) {
+          Logger.info('No accounts are due for a run yet.');
+        }
+
+        for (const target of due) {
+          await this.waitForCooldown();
+          if (this.stopped) break;
+          await this.runTarget(target);
+        }
+        if (this.once || this.stopped) break;
+
+        const next = targets.reduce((soonest, target) =>
+          this.getState(target.username).nextRunAt < this.getState(soonest.username).nextRunAt
+            ? target
+            : soonest
+        );
+        const nextRunAt = this.getState(next.username).nextRunAt;
+        Logger.info(`💤 Next run: @${next.username} at ${format(nextRunAt, 'yyyy-MM-dd HH:mm')}`);
+        await this.sleepUntil(nextRunAt);
+      }
+    } finally {
+      await this.runner.closeSession();
+    }
+    return true;
+  }
+
+  /**
+   * Runs an incremental collection for one target, schedules its next run
+   * and regenerates its outputs once enough new tweets have come in.
+   */
+  async runTarget(target) {
+    const interval = target.interval ?? this.defaults.interval;
+    const minNewTweets = target.minNewTweets ?? this.defaults.minNewTweets;
+    const regenerate = target.regenerate ?? this.defaults.regenerate;
+    const state = this.getState(target.username);
+    const startedAt = new Date();
+
+    const result = await this.runner.runTarget({ ...target, incremental: true });
+
+    state.lastRunAt = startedAt.toISOString();
+    state.lastStatus = result.status;
+    state.pendingNewTweets += result.newTweets || 0;
+
+    // A failure from rate limits is retried once the cooldown is over
+    const cooldownUntil =
+      result.status === 'failed' ? await this.runner.accountPool.nextAvailableAt() : null;
+    state.nextRunAt = cooldownUntil || Date.now() + interval;
+
+    let regenerated = [];
+    if (regenerate.length > 0 && state.pendingNewTweets >= minNewTweets) {
+      regenerated = await this.regenerate(target.username, regenerate);
+      if (regenerated.length === regenerate.length) {
+        state.pendingNewTweets = 0;
+        state.lastRegeneratedAt = new Date().toISOString();
+      }
+    }
+
+    await this.saveState();
+    await this.logRun({
+      startedAt: state.lastRunAt,
+      finishedAt: new Date().toISOString(),
+      username: target.username,
+      status: result.status,
+      tweets: result.tweets,
+      newTweets: result.newTweets || 0,
+      pendingNewTweets: state.pendingNewTweets,
+      regenerated,
+      error: result.error,
+      reason: result.reason,
+      nextRunAt: new Date(state.nextRunAt).toISOString(),
+    });
+  }
+
+  /**
+   * Rebuilds the fine-tuning export from the tweet store and/or the
+   * character file.
+   * @param {string} username - Account folder name.
+   * @param {string[]} outputs - `finetune` and/or `character`.
+   * @returns {string[]} regenerated - The outputs that were rebuilt.
+   */
+  async regenerate(username, outputs) {
+    const regenerated = [];
+    const accountName = username.toLowerCase();
+
+    if (outputs.includes('finetune')) {
+      try {
+        const outputPath = path.join('exports', `${accountName}_finetuning.jsonl`);
+        const written = await new TweetStore('pipeline', accountName).exportJsonl(
+          outputPath,
+          (tweet) => DataOrganizer.toFinetuningEntry(tweet)
+        );
+        Logger.success(`Regenerated ${outputPath} with ${written.toLocaleString()} entries`);
+        regenerated.push('finetune');
+      } catch (error) {
+        Logger.warn(`⚠️  Could not regenerate the fine-tuning export for @${username}: ${error.message}`);
+      }
+    }
+
+    if (outputs.includes('character')) {
+      try {
+        await execFileAsync(process.execPath, [CHARACTER_SCRIPT, accountName]);
+        Logger.success(`Regenerated characters/${accountName}.json`);
+        regenerated.push('character');
+      } catch (error) {
+        Logger.warn(`⚠️  Could not regenerate the character for @${username}: ${error.message}`);
+      }
+    }
+
+    return regenerated;
+  }
+}
+
+export default Watcher;
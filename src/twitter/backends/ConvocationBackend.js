@@ -0,0 +1,72 @@
+// ConvocationBackend.js
+import { Scraper, ErrorRateLimitStrategy } from "@the-convocation/twitter-scraper";
+import ScraperBackend from "./ScraperBackend.js";
+import ProxyPool from "../ProxyPool.js";
+
+/**
+ * Live backend on top of @the-convocation/twitter-scraper.
+ */
+class ConvocationBackend extends ScraperBackend {
+  constructor() {
+    super('convocation');
+    this.supportsBrowserFallback = true;
+
+    // Requests go through the proxy pool when PROXIES_FILE or PROXY_URL
+    // configures one; otherwise straight out
+    this.proxyPool = new ProxyPool();
+
+    // Surface 429s to withRetry instead of sleeping inside the library
+    const scraperOptions = {
+      rateLimitStrategy: new ErrorRateLimitStrategy(),
+      fetch: (input, init) => this.proxyPool.fetch(input, init),
+    };
+
+    this.scraper = new Scraper(scraperOptions);
+  }
+
+  getProfile(username) {
+    return this.scraper.getProfile(username);
+  }
+
+  getUserIdByScreenName(username) {
+    return this.scraper.getUserIdByScreenName(username);
+  }
+
+  getFollowing(userId, maxProfiles) {
+    return this.scraper.getFollowing(userId, maxProfiles);
+  }
+
+  fetchSearchTweets(query, maxTweets, searchMode, cursor) {
+    return this.scraper.fetchSearchTweets(query, maxTweets, searchMode, cursor);
+  }
+
+  getTweet(id) {
+    return this.scraper.getTweet(id);
+  }
+
+  getTweets(username, maxTweets) {
+    return this.scraper.getTweets(username, maxTweets);
+  }
+
+  isLoggedIn() {
+    return this.scraper.isLoggedIn();
+  }
+
+  getCookies() {
+    return this.scraper.getCookies();
+  }
+
+  setCookies(cookies) {
+    return this.scraper.setCookies(cookies);
+  }
+
+  clearCookies() {
+    return this.scraper.clearCookies();
+  }
+
+  logout() {
+    return this.scraper.logout();
+  }
+}
+
+export default ConvocationBackend;
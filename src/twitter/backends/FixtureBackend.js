@@ -0,0 +1,261 @@
+// FixtureBackend.js
+import fs from 'fs';
+import path from 'path';
+import ScraperBackend from './ScraperBackend.js';
+
+/**
+ * Splits an advanced-search query into terms, operators and parentheses.
+ */
+function tokenize(query) {
+  return query.match(/"[^"]*"|\(|\)|[^\s()]+/g) || [];
+}
+
+/**
+ * Parses a query into a predicate over tweets. Terms are ANDed; `OR` binds
+ * tighter than the implicit AND, as on X, and `-` negates a term.
+ */
+function parseQuery(query) {
+  const tokens = tokenize(query);
+  let position = 0;
+
+  const parseTerm = () => {
+    const token = tokens[position++];
+    if (token === '(') {
+      const group = parseAnd();
+      position++; // closing parenthesis
+      return group;
+    }
+    if (token.length > 1 && token.startsWith('-')) {
+      tokens[position - 1] = token.slice(1);
+      position--;
+      const term = parseTerm();
+      return (tweet) => !term(tweet);
+    }
+    return matchOperator(token);
+  };
+
+  const parseOr = () => {
+    const terms = [parseTerm()];
+    while (tokens[position] === 'OR') {
+      position++;
+      terms.push(parseTerm());
+    }
+    return (tweet) => terms.some((term) => term(tweet));
+  };
+
+  const parseAnd = () => {
+    const terms = [];
+    while (position < tokens.length && tokens[position] !== ')') {
+      terms.push(parseOr());
+    }
+    return (tweet) => terms.every((term) => term(tweet));
+  };
+
+  return parseAnd();
+}
+
+function matchOperator(token) {
+  const lower = token.toLowerCase();
+  const [operator, ...rest] = lower.split(':');
+  const value = rest.join(':');
+  const textIncludes = (needle) => (tweet) =>
+    (tweet.text || '').toLowerCase().includes(needle);
+
+  if (value) {
+    switch (operator) {
+      case 'from':
+        return (tweet) => tweet.username?.toLowerCase() === value;
+      case 'to':
+        return (tweet) =>
+          Boolean(tweet.isReply) && new RegExp(`^(@\\w+\\s+)*@${value}\\b`, 'i').test(tweet.text || '');
+      case 'since':
+        return (tweet) => tweet.timestamp * 1000 >= new Date(value).getTime();
+      case 'until':
+        return (tweet) => tweet.timestamp * 1000 < new Date(value).getTime();
+      case 'min_faves':
+        return (tweet) => (tweet.likes || 0) >= Number(value);
+      case 'min_retweets':
+        return (tweet) => (tweet.retweets || 0) >= Number(value);
+      case 'min_replies':
+        return (tweet) => (tweet.replies || 0) >= Number(value);
+      case 'filter':
+        return {
+          replies: (tweet) => Boolean(tweet.isReply),
+          retweets: (tweet) => Boolean(tweet.isRetweet),
+          nativeretweets: (tweet) => Boolean(tweet.isRetweet),
+          quote: (tweet) => Boolean(tweet.isQuoted),
+          images: (tweet) => tweet.photos.length > 0,
+          videos: (tweet) => tweet.videos.length > 0,
+          media: (tweet) => tweet.photos.length + tweet.videos.length > 0,
+          links: (tweet) => tweet.urls.length > 0,
+        }[value] || (() => true);
+      case 'lang':
+        return () => true; // Fixtures carry no language
+      default:
+        break;
+    }
+  }
+
+  if (lower.startsWith('"')) return textIncludes(lower.slice(1, -1));
+  if (lower.startsWith('#')) {
+    return (tweet) =>
+      tweet.hashtags.some((tag) => tag.toLowerCase() === lower.slice(1)) ||
+      textIncludes(lower)(tweet);
+  }
+  if (lower.startsWith('@')) {
+    return (tweet) =>
+      tweet.mentions.some((mention) => mention.username?.toLowerCase() === lower.slice(1)) ||
+      textIncludes(lower)(tweet);
+  }
+  return textIncludes(lower);
+}
+
+/**
+ * Offline backend that replays recorded tweets and profiles, for testing
+ * filters, exports and character generation without an X session.
+ *
+ * Reads every `.json` file in the fixtures directory (or a single file).
+ * A file is either an array of tweets, e.g. a `raw/tweets.json` from an
+ * earlier snapshot, or an object with any of:
+ * `{ profiles: [], tweets: [], following: { [username]: profiles[] } }`.
+ */
+class FixtureBackend extends ScraperBackend {
+  constructor(options = {}) {
+    super('fixture');
+    this.requiresAuth = false;
+    this.fixturesPath = options.fixturesPath || process.env.FIXTURES_PATH || 'fixtures';
+    this.profiles = new Map();
+    this.following = new Map();
+    this.tweets = [];
+    this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.fixturesPath)) {
+      throw new Error(`Fixtures not found at ${this.fixturesPath}`);
+    }
+
+    const files = fs.statSync(this.fixturesPath).isDirectory()
+      ? fs
+          .readdirSync(this.fixturesPath)
+          .filter((file) => file.endsWith('.json'))
+          .sort()
+          .map((file) => path.join(this.fixturesPath, file))
+      : [this.fixturesPath];
+
+    const byId = new Map();
+    for (const file of files) {
+      const data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+      const fixture = Array.isArray(data) ? { tweets: data } : data;
+
+      (fixture.tweets || []).forEach((tweet) => {
+        const normalized = this.normalizeTweet(tweet);
+        byId.set(normalized.id, normalized);
+      });
+      (fixture.profiles || []).forEach((profile) =>
+        this.profiles.set(profile.username.toLowerCase(), profile)
+      );
+      Object.entries(fixture.following || {}).forEach(([username, profiles]) =>
+        this.following.set(username.toLowerCase(), profiles)
+      );
+    }
+
+    // Latest first, like SearchMode.Latest
+    this.tweets = [...byId.values()].sort((a, b) => b.timestamp - a.timestamp);
+    this.tweetsById = byId;
+  }
+
+  /**
+   * Brings both scraper tweets and the pipeline's processed tweets into the
+   * scraper's shape: timestamps in seconds and `retweets` counts.
+   */
+  normalizeTweet(tweet) {
+    let timestamp = tweet.timestamp || new Date(tweet.createdAt).getTime() / 1000;
+    if (timestamp > 1e12) timestamp = Math.floor(timestamp / 1000);
+
+    return {
+      ...tweet,
+      id: String(tweet.id),
+      timestamp,
+      retweets: tweet.retweets ?? tweet.retweetCount ?? 0,
+      likes: tweet.likes || 0,
+      replies: tweet.replies || 0,
+      hashtags: tweet.hashtags || [],
+      mentions: tweet.mentions || [],
+      photos: tweet.photos || [],
+      videos: tweet.videos || [],
+      urls: tweet.urls || [],
+      isQuoted: Boolean(tweet.isQuoted || tweet.quotedStatusId),
+      quotedStatus: tweet.quotedStatus || tweet.quotedTweet,
+      thread: tweet.thread || [],
+    };
+  }
+
+  async getProfile(username) {
+    const profile = this.profiles.get(username.toLowerCase());
+    if (profile) return profile;
+
+    // Accounts only seen through their tweets get a minimal profile
+    const tweet = this.tweets.find(
+      (t) => t.username?.toLowerCase() === username.toLowerCase()
+    );
+    if (!tweet) throw new Error(`No fixture profile for @${username}`);
+    return {
+      username: tweet.username,
+      name: tweet.name || tweet.username,
+      userId: tweet.userId || `fixture-${tweet.username.toLowerCase()}`,
+      pinnedTweetIds: [],
+    };
+  }
+
+  async getUserIdByScreenName(username) {
+    return (await this.getProfile(username)).userId;
+  }
+
+  async *getFollowing(userId, maxProfiles) {
+    const owner = [...this.profiles.values()].find((profile) => profile.userId === userId);
+    const username = owner?.username || String(userId).replace(/^fixture-/, '');
+    const profiles = this.following.get(username.toLowerCase()) || [];
+    yield* profiles.slice(0, maxProfiles);
+  }
+
+  async fetchSearchTweets(query, maxTweets, searchMode, cursor) {
+    const matches = parseQuery(query);
+    const results = this.tweets.filter((tweet) => matches(tweet));
+    const offset = parseInt(cursor) || 0;
+    const page = results.slice(offset, offset + maxTweets);
+    const nextOffset = offset + page.length;
+
+    return {
+      tweets: page,
+      next: nextOffset < results.length ? String(nextOffset) : undefined,
+    };
+  }
+
+  async getTweet(id) {
+    return this.tweetsById.get(String(id)) || null;
+  }
+
+  async *getTweets(username, maxTweets) {
+    const tweets = this.tweets.filter(
+      (tweet) => tweet.username?.toLowerCase() === username.toLowerCase()
+    );
+    yield* tweets.slice(0, maxTweets);
+  }
+
+  async isLoggedIn() {
+    return true;
+  }
+
+  async getCookies() {
+    return [];
+  }
+
+  async setCookies() {}
+
+  async clearCookies() {}
+
+  async logout() {}
+}
+
+export default FixtureBackend;
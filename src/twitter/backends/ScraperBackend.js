@@ -0,0 +1,80 @@
+// ScraperBackend.js
+
+/**
+ * The operations the pipeline needs from an X data source. Method names and
+ * result shapes follow @the-convocation/twitter-scraper, so tweets and
+ * profiles look the same whichever backend produced them.
+ */
+class ScraperBackend {
+  constructor(name) {
+    this.name = name;
+    // Backends without a live session skip credential checks and login
+    this.requiresAuth = true;
+    // Whether the headless browser fallback can stand in on rate limits
+    this.supportsBrowserFallback = false;
+  }
+
+  notImplemented(method) {
+    throw new Error(`The ${this.name} backend does not support ${method}()`);
+  }
+
+  // Profile lookup
+
+  /** @returns {Promise<object>} profile */
+  async getProfile(username) {
+    this.notImplemented('getProfile');
+  }
+
+  /** @returns {Promise<string>} userId */
+  async getUserIdByScreenName(username) {
+    this.notImplemented('getUserIdByScreenName');
+  }
+
+  /** @returns {AsyncGenerator<object>} profiles the user follows */
+  getFollowing(userId, maxProfiles) {
+    this.notImplemented('getFollowing');
+  }
+
+  // Search
+
+  /** @returns {Promise<{ tweets: object[], next?: string }>} one result page */
+  async fetchSearchTweets(query, maxTweets, searchMode, cursor) {
+    this.notImplemented('fetchSearchTweets');
+  }
+
+  // Timeline
+
+  /** @returns {Promise<object|null>} tweet, with `thread` for self-threads */
+  async getTweet(id) {
+    this.notImplemented('getTweet');
+  }
+
+  /** @returns {AsyncGenerator<object>} the user's timeline, newest first */
+  getTweets(username, maxTweets) {
+    this.notImplemented('getTweets');
+  }
+
+  // Auth
+
+  async isLoggedIn() {
+    this.notImplemented('isLoggedIn');
+  }
+
+  async getCookies() {
+    this.notImplemented('getCookies');
+  }
+
+  async setCookies(cookies) {
+    this.notImplemented('setCookies');
+  }
+
+  async clearCookies() {
+    this.notImplemented('clearCookies');
+  }
+
+  async logout() {
+    this.notImplemented('logout');
+  }
+}
+
+export default ScraperBackend;
@@ -0,0 +1,27 @@
+// backends/index.js
+import ConvocationBackend from './ConvocationBackend.js';
+import FixtureBackend from './FixtureBackend.js';
+
+const BACKENDS = {
+  convocation: ConvocationBackend,
+  fixture: FixtureBackend,
+};
+
+/**
+ * Creates the scraper backend selected by name, or by SCRAPER_BACKEND.
+ * @param {string} name - `convocation` (live, default) or `fixture`.
+ * @param {object} options - Backend options, e.g. `fixturesPath`.
+ * @returns {ScraperBackend} backend
+ */
+export function createBackend(name = process.env.SCRAPER_BACKEND || 'convocation', options = {}) {
+  const Backend = BACKENDS[name];
+  if (!Backend) {
+    throw new Error(
+      `Unknown scraper backend "${name}". Available: ${Object.keys(BACKENDS).join(', ')}`
+    );
+  }
+  return new Backend(options);
+}
+
+export { default as ScraperBackend } from './ScraperBackend.js';
+export { ConvocationBackend, FixtureBackend };
@@ -0,0 +1,103 @@
+// error_report.js
+import { Command } from 'commander';
+import chalk from 'chalk';
+import Table from 'cli-table3';
+import { format } from 'date-fns';
+import CollectionConfig from './CollectionConfig.js';
+import ErrorJournal from './ErrorJournal.js';
+import Logger from './Logger.js';
+
+const program = new Command();
+
+program
+  .name('error-report')
+  .description('Summarize recent pipeline failures across all accounts, from each snapshot\'s meta/error_log.json.')
+  .option('--since <duration>', 'How far back to look, e.g. 24h, 7d', '7d')
+  .option('-a, --account <name>', 'Only this account (or search query folder)')
+  .option('--limit <n>', 'Most recent failures to list', '20')
+  .option('--json', 'Print the failures as JSON instead of tables')
+  .action(async (options) => {
+    const window = CollectionConfig.parseDuration(options.since);
+    if (window === null) {
+      throw new Error(`--since: "${options.since}" is not a duration (e.g. 24h, 7d)`);
+    }
+
+    const entries = await ErrorJournal.collect('pipeline', {
+      since: Date.now() - window,
+      account: options.account?.replace(/^@/, ''),
+    });
+    const recent = entries.slice(0, parseInt(options.limit) || 20);
+
+    if (options.json) {
+      console.log(
+        JSON.stringify(
+          recent.map(({ account, snapshot, timestamp, kind, error, context }) => ({
+            account,
+            snapshot,
+            timestamp,
+            kind,
+            message: error?.message,
+            stage: context?.stage,
+          })),
+          null,
+          2
+        )
+      );
+      return;
+    }
+
+    if (entries.length === 0) {
+      Logger.success(`No failures recorded in the last ${options.since}.`);
+      return;
+    }
+
+    // Failures per account and class
+    const byAccount = new Map();
+    entries.forEach(({ account, kind, timestamp }) => {
+      if (!byAccount.has(account)) {
+        byAccount.set(account, { counts: {}, total: 0, last: timestamp });
+      }
+      const summary = byAccount.get(account);
+      summary.counts[kind] = (summary.counts[kind] || 0) + 1;
+      summary.total++;
+    });
+    const kinds = ErrorJournal.kinds.filter((kind) =>
+      entries.some((entry) => entry.kind === kind)
+    );
+
+    console.log(`\n🚨 ${chalk.bold(`Failures in the last ${options.since}`)}`);
+    const summaryTable = new Table({
+      head: ['Account', ...kinds, 'Total', 'Last Failure'].map((title) => chalk.white(title)),
+    });
+    byAccount.forEach(({ counts, total, last }, account) => {
+      summaryTable.push([
+        account,
+        ...kinds.map((kind) => (counts[kind] ? chalk.red(counts[kind]) : '-')),
+        total,
+        format(new Date(last), 'yyyy-MM-dd HH:mm'),
+      ]);
+    });
+    console.log(summaryTable.toString());
+
+    console.log(`\n🕒 ${chalk.bold('Most recent')}`);
+    const recentTable = new Table({
+      head: ['Time', 'Account', 'Class', 'Stage', 'Error'].map((title) => chalk.white(title)),
+      colWidths: [18, 22, 11, 15, 60],
+      wordWrap: true,
+    });
+    recent.forEach(({ timestamp, account, kind, context, error }) => {
+      recentTable.push([
+        format(new Date(timestamp), 'yyyy-MM-dd HH:mm'),
+        account,
+        kind,
+        context?.stage || '-',
+        error?.message || '',
+      ]);
+    });
+    console.log(recentTable.toString());
+  });
+
+program.parseAsync(process.argv).catch((error) => {
+  Logger.error(`Error report failed: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,63 @@
+// export_tweets.js
+import path from 'path';
+import { Command } from 'commander';
+import DataOrganizer from './DataOrganizer.js';
+import TweetStore from './TweetStore.js';
+import Logger from './Logger.js';
+
+// What each export format writes per stored tweet
+const FORMATS = {
+  tweets: (tweet) => tweet,
+  finetuning: (tweet) => DataOrganizer.toFinetuningEntry(tweet),
+  quotes: (tweet) => DataOrganizer.toQuoteExample(tweet),
+};
+
+const program = new Command();
+
+program
+  .name('export-tweets')
+  .description('Export an account\'s stored tweets, across every collection run, as JSONL.')
+  .argument('<username>', 'Account (or search query folder) to export')
+  .option('-f, --format <format>', `Export format: ${Object.keys(FORMATS).join(', ')}`, 'finetuning')
+  .option('-s, --start-date <date>', 'Only tweets from this date (YYYY-MM-DD)')
+  .option('-e, --end-date <date>', 'Only tweets before this date (YYYY-MM-DD)')
+  .option('--exclude-retweets', 'Leave out retweets')
+  .option('--exclude-replies', 'Leave out replies')
+  .option('--min-likes <n>', 'Only tweets with at least this many likes')
+  .option('--sort <order>', 'newest, oldest, likes, retweets or engagement', 'newest')
+  .option('--limit <n>', 'At most this many tweets')
+  .option('-o, --output <file>', 'Output file (default: exports/<username>_<format>.jsonl)')
+  .action(async (username, options) => {
+    const toEntry = FORMATS[options.format];
+    if (!toEntry) {
+      throw new Error(`Unknown format "${options.format}" (use ${Object.keys(FORMATS).join(', ')})`);
+    }
+
+    const accountName = username.replace(/^@/, '').toLowerCase();
+    const store = new TweetStore('pipeline', accountName);
+    await store.ready;
+    if (store.size === 0) {
+      throw new Error(`No stored tweets for ${accountName}. Collect or import some first.`);
+    }
+
+    const outputPath =
+      options.output || path.join('exports', `${accountName}_${options.format}.jsonl`);
+    const written = await store.exportJsonl(outputPath, toEntry, {
+      since: options.startDate,
+      until: options.endDate,
+      excludeRetweets: options.excludeRetweets,
+      excludeReplies: options.excludeReplies,
+      minLikes: parseInt(options.minLikes) || 0,
+      sortBy: options.sort,
+      limit: parseInt(options.limit) || undefined,
+    });
+
+    Logger.success(
+      `Exported ${written.toLocaleString()} of ${store.size.toLocaleString()} stored tweets for ${accountName} to ${outputPath}`
+    );
+  });
+
+program.parseAsync(process.argv).catch((error) => {
+  Logger.error(`Export failed: ${error.message}`);
+  process.exit(1);
+});
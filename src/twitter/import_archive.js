@@ -0,0 +1,34 @@
+// import_archive.js
+import { Command } from 'commander';
+import ArchiveImporter from './ArchiveImporter.js';
+import Logger from './Logger.js';
+
+const program = new Command();
+
+program
+  .name('import-archive')
+  .description('Import an official X/Twitter data archive into the pipeline.')
+  .argument('<archive>', 'The archive zip, or the folder it was extracted to')
+  .option('-u, --username <username>', 'Account name to store the data under (default: from the archive)')
+  .option('-s, --start-date <date>', 'Only import tweets from this date (YYYY-MM-DD)')
+  .option('-e, --end-date <date>', 'Only import tweets up to this date (YYYY-MM-DD)')
+  .action(async (archive, options) => {
+    const result = await new ArchiveImporter(archive, options).import();
+
+    Logger.stats('📦 Archive Import', {
+      Account: `@${result.username}`,
+      'Total Tweets': result.tweets.toLocaleString(),
+      'Original Tweets': result.analytics.directTweets.toLocaleString(),
+      Replies: result.analytics.replies.toLocaleString(),
+      Retweets: result.analytics.retweets.toLocaleString(),
+      Likes: result.likes.toLocaleString(),
+      'Date Range': `${result.analytics.timeRange.start} to ${result.analytics.timeRange.end}`,
+      'Storage Location': result.snapshot,
+    });
+  });
+
+program.parseAsync(process.argv).catch((error) => {
+  Logger.stopSpinner(false);
+  Logger.error(`Archive import failed: ${error.message}`);
+  process.exit(1);
+});
@@ -2,6 +2,10 @@
 import 'dotenv/config';
 import { Command } from 'commander';
 import TwitterPipeline from './TwitterPipeline.js';
+import BatchRunner from './BatchRunner.js';
+import TweetFilter from './TweetFilter.js';
+import CollectionConfig from './CollectionConfig.js';
+import ErrorJournal from './ErrorJournal.js';
 import Logger from './Logger.js';
 
 process.on('unhandledRejection', (error) => {
@@ -15,42 +19,123 @@ process.on('uncaughtException', (error) => {
 });
 
 let pipeline;
+let stopping = false;
 
 const program = new Command();
 
 program
   .name('twitter-scraper')
   .description('A pipeline to scrape data from Twitter.')
-  .argument('[username]', 'The Twitter username to scrape', 'degenspartan')
+  .argument('[username]', 'The Twitter username to scrape (default: degenspartan)')
+  .option('--config <file>', 'Read collection settings from a JSON or YAML file; flags override it')
+  .option('-q, --query <query>', 'Collect tweets matching an advanced-search query (hashtag, cashtag, keywords) instead of an account')
   .option('-s, --start-date <date>', 'The start date for tweet collection (YYYY-MM-DD)')
   .option('-e, --end-date <date>', 'The end date for tweet collection (YYYY-MM-DD)')
+  .option('--tweet-types <types>', 'Comma-separated tweet types to keep: original,replies,quotes,retweets')
+  .option('--content-types <types>', 'Comma-separated content types to keep: text,images,videos,links')
+  .option('--min-likes <n>', 'Only keep tweets with at least this many likes')
+  .option('--min-retweets <n>', 'Only keep tweets with at least this many retweets')
+  .option('--exclude-keywords <words>', 'Comma-separated keywords; tweets containing any are dropped')
+  .option('-r, --resume', 'Resume the most recent interrupted collection for this account')
+  .option('-i, --incremental', 'Only collect tweets newer than the latest stored snapshot')
+  .option('--conversations [depth]', 'Fetch parent tweets and self-threads for replies, up to depth levels (default 3)')
+  .option('--mentions', 'Also collect replies and mentions directed at the account into raw/mentions.json')
+  .option('-g, --graph', 'Collect the following list and most frequent interactions into raw/graph.json')
+  .option('-m, --media', 'Download photos and videos into raw/media with a manifest')
+  .option('-t, --targets <file>', 'Collect every account listed in a targets file (.json or one username per line)')
+  .option('-c, --concurrency <n>', 'Number of accounts to collect at once in batch mode', '1')
+  .option('--backend <name>', 'Scraper backend: convocation (live X session) or fixture (offline replay)')
+  .option('--fixtures <path>', 'Fixture file or directory for the fixture backend (default ./fixtures)')
+  .option('--quiet', 'Show a spinner instead of per-batch collection progress')
+  .option('--log-level <level>', 'Lowest level to log: debug, info, warn, error or silent (default: LOG_LEVEL or info)')
+  .option('--log-format <format>', 'Log output: text, or json for one JSON object per line (default: LOG_FORMAT or text)')
+  .option('--log-file', 'Also write each run\'s log as JSON lines to meta/run_log.jsonl in its snapshot')
   .action(async (username, options) => {
-    pipeline = new TwitterPipeline(username, options.startDate, options.endDate);
-    await pipeline.run();
+    // Validate everything before any login or request happens
+    const logErrors = Logger.configure({
+      level: options.logLevel,
+      format: options.logFormat,
+      runLogs: options.logFile,
+    });
+    const fileSettings = options.config ? await CollectionConfig.loadFile(options.config) : {};
+    const { settings, errors } = CollectionConfig.validate({
+      ...fileSettings,
+      ...CollectionConfig.fromCli(options),
+      ...(username && { username }),
+    });
+    errors.push(...logErrors);
+    if (errors.length > 0) {
+      Logger.error(`Invalid collection settings${options.config ? ` in ${options.config}` : ''}:`);
+      errors.forEach((error) => Logger.error(`- ${error}`));
+      process.exit(1);
+    }
+
+    if (options.targets) {
+      const { username: _username, query: _query, ...defaults } = settings;
+      pipeline = new BatchRunner(options.targets, {
+        concurrency: options.concurrency,
+        defaults,
+      });
+      process.exitCode = ErrorJournal.exitCodeFor(await pipeline.run());
+      return;
+    }
+
+    // A config file or any filter flag means no prompts
+    const filterOptions =
+      options.config || CollectionConfig.hasFilters(settings)
+        ? TweetFilter.buildOptions(settings)
+        : null;
+
+    pipeline = new TwitterPipeline(
+      settings.username || 'degenspartan',
+      settings.startDate,
+      settings.endDate,
+      {
+        ...settings,
+        filterOptions,
+        configFile: options.config,
+      }
+    );
+    process.exitCode = ErrorJournal.exitCodeFor([await pipeline.run()]);
   });
 
 const cleanup = async () => {
   Logger.warn('\n🛑 Received termination signal. Cleaning up...');
   try {
-    if (pipeline && pipeline.scraper) {
-      await pipeline.scraper.logout();
+    // Release through the account pool, so pooled accounts keep their session
+    if (pipeline instanceof BatchRunner) {
+      await pipeline.closeSession();
+    } else if (pipeline?.scraper?.requiresAuth) {
+      await pipeline.accountPool.release(pipeline.scraper);
       Logger.success('🔒 Logged out successfully.');
     }
   } catch (error) {
     Logger.error(`❌ Error during cleanup: ${error.message}`);
   }
-  process.exit(0);
+  process.exit(130);
+};
+
+// The first signal stops collection and saves what it has; a second one
+// exits at once
+const stop = () => {
+  if (stopping || !pipeline) return cleanup();
+  stopping = true;
+  Logger.warn(
+    '\n🛑 Stopping after the current page and saving the tweets collected so far. Press Ctrl+C again to quit now.'
+  );
+  pipeline.interrupt();
 };
 
-process.on('SIGINT', cleanup);
-process.on('SIGTERM', cleanup);
+process.on('SIGINT', stop);
+process.on('SIGTERM', stop);
 
 const main = async () => {
   await program.parseAsync(process.argv);
 };
 
 main()
-  .then(() => process.exit(0))
+  // A run stopped early exits with the usual status for Ctrl+C
+  .then(() => process.exit(stopping ? 130 : process.exitCode ?? 0))
   .catch((error) => {
     Logger.error(`An unhandled error occurred: ${error.message}`);
     process.exit(1);
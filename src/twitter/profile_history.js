@@ -0,0 +1,80 @@
+import DataOrganizer from './DataOrganizer.js';
+import Logger from './Logger.js';
+import chalk from 'chalk';
+import Table from 'cli-table3';
+
+// npm run profile-history -- <username>
+const args = process.argv.slice(2);
+const username = args[0]?.replace(/^@/, '');
+
+const formatCount = (value) =>
+  typeof value === 'number' ? value.toLocaleString() : '-';
+
+const formatDelta = (change) => {
+  if (!change || typeof change.from !== 'number') return '';
+  const delta = change.to - change.from;
+  const text = `${delta > 0 ? '+' : ''}${delta.toLocaleString()}`;
+  return delta >= 0 ? chalk.green(` (${text})`) : chalk.red(` (${text})`);
+};
+
+async function main() {
+  if (!username) {
+    Logger.error('Usage: npm run profile-history -- <username>');
+    process.exit(1);
+  }
+
+  let history;
+  try {
+    history = await DataOrganizer.getProfileHistory('pipeline', username);
+  } catch (error) {
+    Logger.error(`No snapshots found for @${username}: ${error.message}`);
+    process.exit(1);
+  }
+
+  if (history.length === 0) {
+    Logger.warn(`No profile snapshots stored for @${username} yet. Run a collection first.`);
+    return;
+  }
+
+  console.log(`\n👤 ${chalk.bold(`Profile history for @${username}`)}`);
+  const table = new Table({
+    head: ['Date', 'Display Name', 'Followers', 'Following', 'Tweets'].map((h) => chalk.white(h)),
+    colWidths: [14, 28, 22, 20, 20],
+  });
+
+  history.forEach(({ date, profile, changes }) => {
+    table.push([
+      date,
+      changes.name ? chalk.yellow(profile.name) : profile.name,
+      formatCount(profile.followersCount) + formatDelta(changes.followersCount),
+      formatCount(profile.followingCount) + formatDelta(changes.followingCount),
+      formatCount(profile.tweetsCount) + formatDelta(changes.tweetsCount),
+    ]);
+  });
+  console.log(table.toString());
+
+  // Text fields don't fit a table cell, so list their changes separately
+  const textFields = ['name', 'biography', 'location', 'website', 'isVerified', 'isBlueVerified'];
+  const textChanges = history.filter(({ changes }) =>
+    textFields.some((field) => changes[field])
+  );
+
+  if (textChanges.length === 0) {
+    Logger.info('No bio or display name changes across snapshots.');
+    return;
+  }
+
+  console.log(`\n📝 ${chalk.bold('Profile changes')}`);
+  textChanges.forEach(({ date, changes }) => {
+    console.log(chalk.cyan(date));
+    textFields
+      .filter((field) => changes[field])
+      .forEach((field) => {
+        console.log(`  ${chalk.white(field)}:`);
+        console.log(chalk.red(`    - ${changes[field].from ?? ''}`));
+        console.log(chalk.green(`    + ${changes[field].to ?? ''}`));
+      });
+  });
+}
+
+main();
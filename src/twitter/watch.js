@@ -0,0 +1,73 @@
+// watch.js
+import 'dotenv/config';
+import { Command } from 'commander';
+import CollectionConfig from './CollectionConfig.js';
+import Watcher from './Watcher.js';
+import Logger from './Logger.js';
+
+const program = new Command();
+let watcher = null;
+
+program
+  .name('watch')
+  .description('Keep account datasets up to date by collecting new tweets on a schedule.')
+  .argument('<targets>', 'Targets file (.json or one username per line), as for --targets')
+  .option('--interval <duration>', 'Time between runs for each account, e.g. 30m, 6h, 1d (default: WATCH_INTERVAL or 6h)')
+  .option('--min-new-tweets <n>', 'New tweets needed before outputs are regenerated (default: WATCH_MIN_NEW_TWEETS or 50)')
+  .option('--regenerate <outputs>', 'Comma-separated outputs to rebuild once enough new tweets arrive: finetune,character')
+  .option('--once', 'Run every due account once and exit, e.g. from cron')
+  .option('--backend <name>', 'Scraper backend: convocation (live X session) or fixture (offline replay)')
+  .option('--fixtures <path>', 'Fixture file or directory for the fixture backend (default ./fixtures)')
+  .option('--log-level <level>', 'Lowest level to log: debug, info, warn, error or silent (default: LOG_LEVEL or info)')
+  .option('--log-format <format>', 'Log output: text, or json for one JSON object per line (default: LOG_FORMAT or text)')
+  .option('--log-file', 'Also write each run\'s log as JSON lines to meta/run_log.jsonl in its snapshot')
+  .action(async (targets, options) => {
+    const cliSettings = {
+      interval: options.interval,
+      minNewTweets: options.minNewTweets,
+      regenerate: options.regenerate,
+      backend: options.backend,
+      fixturesPath: options.fixtures,
+    };
+    const { settings, errors } = CollectionConfig.validate(
+      Object.fromEntries(Object.entries(cliSettings).filter(([, value]) => value !== undefined))
+    );
+    errors.push(
+      ...Logger.configure({
+        level: options.logLevel,
+        format: options.logFormat,
+        runLogs: options.logFile,
+      })
+    );
+    if (errors.length > 0) {
+      Logger.error('Invalid watch settings:');
+      errors.forEach((error) => Logger.error(`- ${error}`));
+      process.exit(1);
+    }
+
+    watcher = new Watcher(targets, { defaults: settings, once: options.once });
+    if (!(await watcher.start())) {
+      process.exit(1);
+    }
+  });
+
+// The first signal lets the current run finish; a second one exits at once
+let stopping = false;
+const stop = () => {
+  if (stopping || !watcher) process.exit(0);
+  stopping = true;
+  Logger.warn('\n🛑 Stopping the watch after the current run. Press Ctrl+C again to quit now.');
+  watcher.stop();
+};
+
+process.on('SIGINT', stop);
+process.on('SIGTERM', stop);
+
+program
+  .parseAsync(process.argv)
+  .then(() => process.exit(0))
+  .catch((error) => {
+    Logger.stopSpinner(false);
+    Logger.error(`Watch failed: ${error.message}`);
+    process.exit(1);
+  });
@@ -6,6 +6,7 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import OpenAI from 'openai';
 import TwitterPipeline from '../twitter/TwitterPipeline.js';
+import ErrorJournal from '../twitter/ErrorJournal.js';
 import chalk from 'chalk';
 import ora from 'ora';
 
@@ -25,6 +26,11 @@ const recentTweets = tweets.slice(0, 20);
 const recentTweetsText = recentTweets.map(tweet => tweet.text).join('\n');
 const topTweets = stats.engagement.topTweets.map(tweet => tweet.text).join('\n');
 
+const profilePath = path.join(__dirname, `../../pipeline/${username}/${date}/raw/profile.json`);
+const savedProfile = fs.existsSync(profilePath)
+    ? JSON.parse(fs.readFileSync(profilePath, 'utf8'))
+    : null;
+
 const pipeline = new TwitterPipeline(username);
 
 const cleanup = async () => {
@@ -61,7 +67,8 @@ const formatJSON = (json) => {
 };
 
 async function main() {
-    const profile = await pipeline.getProfile();
+    // Snapshots collected before profiles were stored need a live lookup
+    const profile = savedProfile || await pipeline.getProfile();
 
     console.log('\n' + chalk.bold.cyan('📥 INPUT DATA SUMMARY'));
     console.log(chalk.dim('═'.repeat(50)));
@@ -108,7 +115,7 @@ Name: ${profile.name}
 
 User Profile:
 <profile>
-${profile}
+${JSON.stringify(profile, null, 2)}
 </profile>
 
 Top Tweets:
@@ -203,6 +210,19 @@ Format your response as a valid JSON object, with each field containing the appr
     } catch (error) {
         spinner.fail('Failed to generate character');
         console.error(chalk.red('Error:'), error.message);
+
+        // Unreadable model output is a parse failure; anything else is the LLM's
+        const kind = error instanceof SyntaxError ? 'parse' : 'llm';
+        await ErrorJournal.append(
+            path.join(__dirname, `../../pipeline/${username}/${date}/meta/error_log.json`),
+            {
+                timestamp: new Date().toISOString(),
+                kind,
+                error: { message: error.message, code: error.code, stack: error.stack },
+                context: { stage: 'virtuals', username, model: 'gpt-4o', status: error.status },
+            }
+        ).catch(() => {});
+        process.exitCode = ErrorJournal.exitCode(kind);
     }
 }
 